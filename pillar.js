@@ -54,57 +54,39 @@
 
     - Include this file in the <head> tag so it loads quickly.
     - Include your module definition files in the <body>.
-    - You modules need to be defined before they can be loaded, so
-      include your main module after your module definitions.
+    - File order doesn't matter. If main (or a module with the
+      loadNow option) depends on modules that aren't defined yet, it
+      waits until the last of them is defined and then runs. Use
+      package.pending() to see what is still missing, and
+      package.checkPending() to fail loudly if anything is, eg, on
+      window load.
 
   ** Working With Third Party Libraries
 
      I prefer to simply leave third-party libraries as globals, but if
-     you want to be very strictly modular, you can define adapters
-     like so:
+     you want to be very strictly modular, you can turn them into
+     modules with shims:
 
-       module.define('$', function() {
-         var jQuery = jQuery;
-         window.$ = null;  // Remove global references to jQuery.
-         window.jQuery = null;
-         return jQuery;
-       });
-
-       module.define('Backbone', function() {
-         var Backbone = Backbone;
-         window.Backbone = null;
-         return Backbone;
+       module.shim({
+         $: {global: 'jQuery', remove: ['$', 'jQuery']},
+         Backbone: {remove: ['Backbone'], deps: ['$', 'underscore']}
        });
 
-    You might want to package all your adapters into a single
-    module like this:
-
-       module.define('adaptors', function() {
-
-         module.define('$', function() {
-           var jQuery = jQuery;
-           window.$ = null;  // Remove global references to jQuery.
-           window.jQuery = null;
-           return jQuery;
-         });
-
-
-         module.define('Backbone', function() {
-           var Backbone = Backbone;
-           window.Backbone = null;
-           return Backbone;
-         });
+     Each shim is a module whose value is the global, read when the
+     module is first needed. The globals listed in @remove are removed
+     at that point, so nothing else can use them. module.teardown()
+     puts them back, eg, between tests.
 
-         return module.needs(['$', 'Backbone'])
+     If you write an adapter by hand, read the global through window,
+     as a local variable with the same name would shadow it:
 
+       module.define('$', function() {
+         var jQuery = window.jQuery;
+         delete window.$;  // Remove global references to jQuery.
+         delete window.jQuery;
+         return jQuery;
        });
 
-    Then from your main module, you can do this:
-
-      module.define('main', function() {
-        runs('adaptors');  // Same as needs, but suppresses return value.
-      });
-
   * Issues
     - Circular dependencies are an issue. Pillar fails if it
       detects if it detects one. For example, this is critically bad:
@@ -112,6 +94,28 @@
         module.define('foo', function(bar) {...});
         module.define('bar', function(foo) {...});
 
+      If modules really need each other, use the @commonjs option. As
+      in Node, a module that is still loading then hands out its
+      exports so far instead of failing:
+
+        module.config({commonjs: true});
+        module.define('user', function(exports, team) {
+          exports.getTeam = function() {return team;};
+        });
+        module.define('team', function(exports, user) {
+          exports.getUser = function() {return user;};
+        });
+
+  * Errors
+
+    Everything Pillar throws is an instance of pillar.error.PillarError,
+    which is a subclass of Error. More specific subclasses are
+    ModuleNotFoundError, CircularDependencyError, DuplicateModuleError,
+    InvalidDefinitionError, ModuleLoadError, AsyncModuleError and
+    GlobalNotFoundError. Details such as @moduleName, @requestedBy,
+    @suggestions and @path (the chain of modules that led to a
+    circular dependency) are set as fields on the error.
+
   * Guidelines For A Good Dependency Resolver
     - Doesn't get in the way of:
       - [X] Debugging
@@ -119,7 +123,7 @@
       - [X] Gzip compression
       - [X] File concatentation
       - [X] Caching
-    - [ ] File load order doesn't matter.
+    - [X] File load order doesn't matter.
     - [X] Supports fast development/reloads.
     - [X] Production and development mode is the same.
 
@@ -135,8 +139,16 @@
       file is loaded. Pillar waits until a module is needed before it
       executes its define block.
 
-    - Doesn't come packaged with a directory traversal or file
-      minification/concatenation tool akin r.js
+    - Comes with a simpler build tool than r.js. It concatenates the
+      files that main needs, in dependency order, with a source map,
+      but leaves minification to you:
+
+        bin/pillar build src -o bundle.js
+
+      There is also a check for missing, duplicate, unreachable and
+      circular modules, which exits with an error if it finds any:
+
+        bin/pillar check src
 
     - Defined modules must be given names so they can be
       referenced. The downside to this is that names must be managed,
@@ -177,6 +189,238 @@
         // Pillar
         module.define('main', function(app, domUtils) {...});
 
+  * Minification
+
+    Parameter names don't survive a minifier that mangles names, so
+    dependencies can also be annotated explicitly. When present, the
+    annotation is used instead of the parameter names. These are
+    equivalent:
+
+      module.define('main', ['app/app', 'utils/dom', function(app, domUtils) {...}]);
+
+      function main(app, domUtils) {...}
+      main.$needs = ['app/app', 'utils/dom'];
+      module.define('main', main);
+
+      module.define('main', function(app, domUtils) {...}, {
+        needs: ['app/app', 'utils/dom']
+      });
+
+  * Asynchronous Modules
+
+    Pillar is synchronous, but a module can opt in to being
+    asynchronous when it has to wait for something before it's
+    usable. Its definition returns a promise, and dependents get what
+    the promise resolves with:
+
+      module.define('config', function() {
+        return fetch('/config.json').then(function(res) {
+          return res.json();
+        });
+      }, {async: true});
+
+    Load it, and anything that depends on it, with needsAsync(), which
+    takes the same arguments as needs() and returns a promise. Calling
+    needs() on an asynchronous module that hasn't resolved yet throws
+    an AsyncModuleError. Main runs asynchronously by itself if it
+    depends on an asynchronous module. If it fails then, the error is
+    logged and listed by pending().
+
+  * Scopes
+
+    A module runs once and every module that needs it gets the same
+    value. Modules that are really factories, eg, of a view model per
+    view, can run again for every module that needs them instead:
+
+      module.define('app/viewModel', function(api) {
+        return {items: [], load: function() {...}};
+      }, {scope: 'transient'});
+
+    The scope can also be a function that returns a key for the module
+    asking for it. Modules with the same key share a value:
+
+      module.define('app/http', function(config) {...}, {
+        scope: function(requestedBy) {
+          return pillar.util.getNamespace(requestedBy || '');
+        }
+      });
+
+    Circular dependencies are detected whatever the scope.
+
+  * Reloading Modules
+
+    During development, a module can be replaced without reloading the
+    page:
+
+      module.redefine('app/router', function(app) {...});
+
+    Every module that loaded it, directly or not, loads again the next
+    time it is needed, and main runs again. Use the @hmr option to make
+    define() behave like redefine() for modules that already exist:
+
+      new Package({hmr: true})
+
+    A module can clean up after itself when it is replaced, or take
+    care of reloading its dependencies itself:
+
+      module.define('app/view', function(app) {
+        var onResize = function() {...};
+        window.addEventListener('resize', onResize);
+        this.dispose(function() {
+          window.removeEventListener('resize', onResize);
+        });
+      });
+
+      module.define('app', ['app/routes', function(routes) {
+        this.accept(function(updated) {
+          routes = this.needs('app/routes');
+        });
+      }]);
+
+  * AMD Compatibility
+
+    With the @amd option, the global define() also accepts AMD style
+    arguments and a global require() is added, so libraries that
+    register themselves with AMD work unmodified:
+
+      new Package({global: true, amd: true});
+
+      define('app/models/user', ['../util', 'exports'], function(util, exports) {...});
+      require(['app/models/user'], function(user) {...});
+
+    Unlike RequireJS, require() is synchronous.
+
+  * Module Names
+
+    Any string can name a module, except for characters that needs()
+    gives a meaning to: whitespace and commas separate names, colons
+    prefix a namespace, "#" refers to another package and "!" to a
+    loader plugin. Namespaces are separated with "/" and can't be empty.
+    Both can be configured:
+
+      new Package({separator: '.', namePattern: /^[a-z][a-z.]*$/});
+
+    define() throws an InvalidDefinitionError for names that don't
+    follow these rules.
+
+  * Mapping Module Names
+
+    Requested module names can be mapped to other modules, eg, to swap
+    an implementation per environment without touching every needs():
+
+      module.config({
+        paths: {
+          'jquery': 'vendor/jquery-1.11',
+          'app/legacy/*': 'app/v2/*'
+        },
+        map: {
+          'app/admin': {'jquery': 'vendor/jquery-2'}
+        }
+      });
+
+    @paths applies to every module, @map only to the modules of the
+    given namespace. A name is mapped once; the result isn't mapped
+    again. Introspection (dependenciesOf, graph, ...) shows the mapped
+    names.
+
+  * Events
+
+    To see what a package does, eg, for analytics or in tests, listen
+    to its events instead of patching its methods:
+
+      module.on('error', function(e) {
+        report(e.moduleName, e.error);
+      });
+
+    The events are define, beforeLoad, load, error and cycle. See
+    package.on() for what they come with.
+
+    To find out which modules make the app slow to boot, profile it:
+
+      var module = new Package({profiling: true});
+      ...
+      module.profile().report; // Slowest definitions first.
+
+    package.profile().trace can be saved as a JSON file and opened in
+    the Performance panel of Chrome's DevTools.
+
+  * Logging
+
+    Messages go to the console, from warnings up. Give the package a
+    logger to send them elsewhere, and a level to see more or less:
+
+      module.config({
+        logger: function(level, message, data) {
+          shipper.send({level: level, message: message, module: data.moduleName});
+        },
+        logLevel: 'debug'
+      });
+
+    Use {logLevel: 'silent'} to turn logging off, eg, in tests. Errors
+    thrown by needs() and the like are only logged at the debug level,
+    as the caller gets them. Errors nobody gets, eg, of main running
+    asynchronously, are logged as errors.
+
+  * Testing
+
+    Modules are loaded once per package, so to test a module with a
+    fake dependency, load it in a sandbox, which has the same modules
+    but none of their values:
+
+      var sandbox = module.sandbox({overrides: {'app/api': fakeApi}});
+      var routes = sandbox.needs('app/routes/user');
+
+    Or have every other module replaced with a stand-in of the same
+    shape, and see what the module uses:
+
+      var loaded = pillar.testing.load(module, 'app/cart', {automock: true});
+      loaded.value.checkout();
+      loaded.touched; // ['app/api']
+      loaded.calls['app/api']; // [{path: 'post()', args: [...]}]
+
+  * Loader Plugins
+
+    Modules named with a prefix and "!" are loaded by the plugin
+    registered for the prefix instead of being defined. Parameter
+    names can't contain "!", so list them with needs() or an
+    annotation:
+
+      module.define('app/view', ['json!config/app', 'text!templates/view', function(config, template) {...}]);
+
+    The built-in plugins are:
+
+      json!name: Parsed JSON.
+      text!name: Text.
+      env!NAME: An environment variable.
+
+    In Node, json and text read the file "name" (".json" is added if
+    it has no extension) and env reads process.env. In a browser, they
+    read the element with the id "name", eg:
+
+      <script type="text/template" id="templates/view">...</script>
+
+    and env reads the JSON block with the id "env". Register your own
+    with module.plugin(prefix, fn).
+
+  * Multiple Packages
+
+    A package can load the modules of another one, eg, a UI kit shared
+    between apps. Prefix the module name with the package's alias and
+    "#":
+
+      var ui = new Package({name: 'ui'});
+      var app = new Package();
+      app.use(ui); // Or app.use(ui, {as: 'kit'});
+
+      app.define('main', function() {
+        var button = this.needs('ui#button');
+      });
+
+    Modules of the UI kit stay cached in the UI kit's package, so every
+    app using it shares them. Entry modules of the app that need modules
+    the UI kit doesn't define yet run once it does, and redefining a
+    module of the UI kit reloads the modules of the app that need it.
+
   * Similarities with RequireJS
 
     - Both require an entry point file. RequireJS requires a main.js
@@ -186,7 +430,6 @@
   * TODO
     - Update docs
     - In define, disallow any moduleNames that can't be used as in function params?
-    - Disallow certain characters so that namespacing works. Ex: space, comma, colon
     - Optimize for file size (reduce repetition - add each function).
     - Make compatible on all browsers (IE6+).
     - Allow unnamed packages.
@@ -204,14 +447,14 @@ var pillar = (function() {
     if (arr.length > 0)
       return arr[0];
     else
-      throw "Error: Array has no items.";
+      throw new PillarError("Array has no items.");
   }
 
   function last(arr) {
     if (arr.length > 0)
       return arr[arr.length - 1];
     else
-      throw "Error: Object has no items.";
+      throw new PillarError("Object has no items.");
   }
 
   function trim(str) {
@@ -231,7 +474,20 @@ var pillar = (function() {
     if (isArray(col))
       return index(col, lookFor) !== -1;
     else
-      return col.hasOwnProperty(lookFor);
+      return Object.prototype.hasOwnProperty.call(col, lookFor);
+  }
+
+  /*
+    Sets @obj[@key] to @val. Unlike a plain assignment, it works for
+    every key: assigning to "__proto__" would change the prototype of
+    @obj instead of adding a key.
+  */
+  function setKey(obj, key, val) {
+    if (key === '__proto__')
+      Object.defineProperty(obj, key, {value: val, enumerable: true, writable: true, configurable: true});
+    else
+      obj[key] = val;
+    return val;
   }
 
   // arguments -> array
@@ -270,7 +526,7 @@ var pillar = (function() {
   function merge(left, right) {
     for (var key in right) {
       if (has(right, key))
-        left[key] = right[key];
+        setKey(left, key, right[key]);
     }
     return left;
   }
@@ -347,23 +603,125 @@ var pillar = (function() {
       fmt('{foo} there {bar}', {foo: 'Hello', bar: 'World'}) -> Hello there World
   */
   function fmt(str, obj) {
-    var re = new RegExp('{([a-z]*)}', 'g');
+    var re = new RegExp('{([a-zA-Z]*)}', 'g');
     return str.replace(re, function(found, captured) {
       if (!has(obj, captured))
-        throw 'Error: Key "' + captured + '" was not found.'
+        throw new PillarError('Key "' + captured + '" was not found.');
       return obj[captured]
     });
   }
 
-  function log(str) {
-    return console.log.apply(console, ['Pillar:'].concat(toArr(arguments)));
+  // Sets up prototypal inheritance of @Child from @Parent.
+  function inherit(Child, Parent) {
+    var Surrogate = function() {};
+    Surrogate.prototype = Parent.prototype;
+    Child.prototype = new Surrogate();
+    Child.prototype.constructor = Child;
+    return Child;
+  }
+
+  /*
+    Base class of every error Pillar throws. Structured details about
+    the error (eg, @moduleName, @requestedBy) are copied from @fields
+    onto the error.
+  */
+  function PillarError(message, fields) {
+    this.message = message;
+    if (typeof fields !== 'undefined')
+      merge(this, fields);
+    if (Error.captureStackTrace)
+      Error.captureStackTrace(this, this.constructor);
+    else
+      this.stack = (new Error(message)).stack;
+  }
+
+  inherit(PillarError, Error);
+  PillarError.prototype.name = 'PillarError';
+
+  // Makes @SubError, which must call PillarError, a subclass of it
+  // named @name. The name is passed in as minifiers rename functions.
+  function extendError(SubError, name) {
+    inherit(SubError, PillarError);
+    SubError.prototype.name = name;
+    return SubError;
+  }
+
+  // Fields: @moduleName, @resolvedName, @packageName, @prefix,
+  // @requestedBy, @suggestion (the best of @suggestions)
+  function ModuleNotFoundError() {
+    PillarError.apply(this, arguments);
+  }
+  extendError(ModuleNotFoundError, 'ModuleNotFoundError');
+
+  // Fields: @moduleName, @path, @cycle
+  function CircularDependencyError() {
+    PillarError.apply(this, arguments);
+  }
+  extendError(CircularDependencyError, 'CircularDependencyError');
+
+  // Fields: @moduleName
+  function DuplicateModuleError() {
+    PillarError.apply(this, arguments);
+  }
+  extendError(DuplicateModuleError, 'DuplicateModuleError');
+
+  // Fields: @moduleName
+  function InvalidDefinitionError() {
+    PillarError.apply(this, arguments);
+  }
+  extendError(InvalidDefinitionError, 'InvalidDefinitionError');
+
+  // Fields: @moduleName, @requestedBy, @chain, @cause
+  function ModuleLoadError() {
+    PillarError.apply(this, arguments);
+  }
+  extendError(ModuleLoadError, 'ModuleLoadError');
+
+  // Fields: @moduleName, @requestedBy
+  function AsyncModuleError() {
+    PillarError.apply(this, arguments);
+  }
+  extendError(AsyncModuleError, 'AsyncModuleError');
+
+  // Fields: @moduleName, @globalName
+  function GlobalNotFoundError() {
+    PillarError.apply(this, arguments);
+  }
+  extendError(GlobalNotFoundError, 'GlobalNotFoundError');
+
+  // Log levels, from the most to the least verbose. See
+  // Package.log.
+  var LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+  // The logger of packages that aren't given one.
+  function consoleLogger(level, message) {
+    var fn = typeof console[level] === 'function' ? console[level] : console.log;
+    fn.call(console, 'Pillar: ' + message);
+  }
+
+  // Current time in milliseconds, as precise as available.
+  function now() {
+    if (typeof performance !== 'undefined' && typeof performance.now === 'function')
+      return performance.now();
+    return new Date().getTime();
   }
 
-  // Mixin to produce convenient error functions.
-  function errorMixin(errorType) {
+  /*
+    Mixin to produce convenient error functions. Usage:
+
+      this.error(ErrorClass, message, obj)
+
+    @ErrorClass is optional and defaults to PillarError. @message is
+    formatted with @obj, and the values of @obj are set on the error.
+  */
+  function errorMixin() {
     return {
-      error: function(errorMessage, obj) {
-        throw 'PillarError[' + errorType + ']: ' + fmt(errorMessage, obj);
+      error: function(ErrorClass, errorMessage, obj) {
+        if (typeof ErrorClass === 'string')
+          return this.error.apply(this, [PillarError].concat(toArr(arguments)));
+        if (typeof obj === 'undefined')
+          var obj = {};
+        throw new ErrorClass(fmt(errorMessage, obj), obj);
       },
       errorIf: function(cond) {
         return cond ? this.error.apply(this, toArr(arguments, 1)) : false;
@@ -371,8 +729,234 @@ var pillar = (function() {
     }
   }
 
-  // Always returns a flat array of module names.
-  function parseNeeds(moduleNames, callingModule) {
+  // Returns the namespace of a module name, eg: app/views/user ->
+  // app/views. Returns an empty string for top-level modules.
+  // @separator defaults to "/".
+  function getNamespace(moduleName, separator) {
+    if (typeof separator === 'undefined')
+      var separator = '/';
+    var i = moduleName.lastIndexOf(separator);
+    return i === -1 ? '' : moduleName.substr(0, i);
+  }
+
+  // Escapes a string to be used as a Graphviz DOT ID.
+  function dotId(str) {
+    return '"' + String(str).replace(/(["\\])/g, '\\$1') + '"';
+  }
+
+  // Returns a promise resolved with @val, which may be a promise.
+  function resolved(val) {
+    if (typeof Promise === 'undefined')
+      throw new PillarError("Asynchronous modules require Promise support.");
+    return Promise.resolve(val);
+  }
+
+  // Checks if a list of module names given to needs() asks for a
+  // single module, in which case its value is returned rather than a
+  // hash of values.
+  function needsOne(moduleNames) {
+    return moduleNames.length === 1
+      && typeof first(moduleNames) === 'string'
+      && first(moduleNames).split(/\s+/).length === 1;
+  }
+
+  /*
+    Resolves an AMD module id that is relative to the module
+    @moduleName, eg:
+
+      resolveAmdId('../models/user', 'app/views/list') -> app/models/user
+  */
+  function resolveAmdId(id, moduleName) {
+    if (!/^\.\.?\//.test(id) || typeof moduleName === 'undefined')
+      return id;
+    var namespace = getNamespace(moduleName);
+    var parts = namespace === '' ? [] : namespace.split('/');
+    each(id.split('/'), function(part) {
+      if (part === '..')
+        parts.pop();
+      else if (part !== '.')
+        parts.push(part);
+    });
+    return parts.join('/');
+  }
+
+  // Checks if arguments given to a global define() are meant for
+  // Package.amdDefine rather than Package.define.
+  function isAmdDefine(args) {
+    if (typeof args[0] !== 'string')
+      return true;
+    var second = args[1];
+    if (isArray(second))
+      return second.length === 0 || typeof last(second) !== 'function';
+    return typeof second !== 'undefined' && typeof second !== 'function';
+  }
+
+  /*
+    Counts the characters to insert, delete, replace or swap with
+    their neighbor to turn @a into @b, eg:
+
+      editDistance('app/usr', 'app/user') -> 1
+  */
+  function editDistance(a, b) {
+    var rows = [];
+    for (var i=0; i <= a.length; i++) {
+      rows.push([i]);
+      for (var j=1; j <= b.length; j++) {
+        if (i === 0) {
+          rows[i].push(j);
+          continue;
+        }
+        var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+        rows[i].push(Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost));
+        if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1))
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /*
+    Ranks the names in @names that look like a typo of @moduleName,
+    most similar first, and returns the first three. Case doesn't
+    count, and a name in another namespace with the same last part
+    (eg, app/models/user for app/user) is as similar as a one
+    character typo. @separator defaults to "/".
+  */
+  function suggestNames(moduleName, names, separator) {
+    if (typeof separator === 'undefined')
+      var separator = '/';
+    var lower = moduleName.toLowerCase();
+    var base = function(name) {
+      return name.substr(name.lastIndexOf(separator) + separator.length);
+    };
+    var threshold = Math.max(2, Math.floor(moduleName.length / 3));
+    var ranked = [];
+    each(names, function(name) {
+      var candidate = name.toLowerCase();
+      var edits = editDistance(lower, candidate);
+      var distance = base(lower) === base(candidate) ? Math.min(edits, 1) : edits;
+      if (distance <= threshold && name !== moduleName)
+        ranked.push({name: name, distance: distance, edits: edits});
+    });
+    ranked.sort(function(a, b) {
+      return a.distance - b.distance || a.edits - b.edits || (a.name < b.name ? -1 : 1);
+    });
+    return map(ranked.slice(0, 3), function(suggestion) {
+      return suggestion.name;
+    });
+  }
+
+  /*
+    Maps @moduleName with @table, eg:
+
+      mapName({'jquery': 'vendor/jquery'}, 'jquery') -> vendor/jquery
+      mapName({'app/legacy/*': 'app/v2/*'}, 'app/legacy/user') -> app/v2/user
+
+    Exact keys win over keys ending with "*", and longer prefixes over
+    shorter ones. Returns null if nothing matches.
+  */
+  function mapName(table, moduleName) {
+    if (has(table, moduleName))
+      return table[moduleName];
+    var prefix = null;
+    each(table, function(target, key) {
+      if (last(key) !== '*')
+        return;
+      var keyPrefix = key.substr(0, key.length - 1);
+      if (moduleName.indexOf(keyPrefix) === 0 && (prefix === null || keyPrefix.length > prefix.length))
+        prefix = keyPrefix;
+    });
+    if (prefix === null)
+      return null;
+    return table[prefix + '*'].replace(/\*$/, '') + moduleName.substr(prefix.length);
+  }
+
+  /*
+    Splits a module name that refers to another package into the
+    package alias and the module name within it, eg:
+
+      splitPackageName('ui#button') -> {alias: 'ui', moduleName: 'button'}
+
+    Returns null for names without a package alias.
+  */
+  function splitPackageName(moduleName) {
+    var i = moduleName.indexOf('#');
+    if (i === -1)
+      return null;
+    return {alias: moduleName.substr(0, i), moduleName: moduleName.substr(i + 1)};
+  }
+
+  /*
+    Splits a module name that is loaded by a plugin into the plugin's
+    prefix and the name of the resource, eg:
+
+      splitPluginName('json!config/app') -> {prefix: 'json', resource: 'config/app'}
+
+    Returns null for names without a prefix.
+  */
+  function splitPluginName(moduleName) {
+    var i = moduleName.indexOf('!');
+    if (i === -1)
+      return null;
+    return {prefix: moduleName.substr(0, i), resource: moduleName.substr(i + 1)};
+  }
+
+  /*
+    Reads the text of @name. In a browser, it is the content of the
+    element with @name as its id, eg:
+
+      <script type="text/template" id="templates/user">...</script>
+
+    In Node, it is the content of the file @name, relative to the
+    current directory. @extension is added to file names that don't
+    have one.
+  */
+  function readResource(name, extension) {
+    if (typeof document !== 'undefined') {
+      var element = document.getElementById(name);
+      if (element === null)
+        throw new PillarError('Element [' + name + '] not found.');
+      return element.textContent || element.innerHTML;
+    }
+    if (typeof extension !== 'undefined' && !/\.[^\/]*$/.test(name))
+      name += extension;
+    // Through module.require, so that bundlers don't try to include fs.
+    if (typeof module === 'undefined' || typeof module.require !== 'function')
+      throw new PillarError('Resource [' + name + '] can only be read in a browser or in Node.');
+    return module.require('fs').readFileSync(name, 'utf8');
+  }
+
+  // Plugins every package starts with. See Package.plugin.
+  var builtinPlugins = {
+
+    // The text of a file or script block, eg: text!templates/user.html
+    text: function(name) {
+      return readResource(name);
+    },
+
+    // A parsed JSON file or script block, eg: json!config/app
+    json: function(name) {
+      return JSON.parse(readResource(name, '.json'));
+    },
+
+    // An environment variable in Node, or a key of the JSON script
+    // block with the id "env" in a browser, eg: env!API_URL
+    env: function(name) {
+      var env = typeof document !== 'undefined' ? JSON.parse(readResource('env')) : process.env;
+      if (!has(env, name))
+        throw new PillarError('Environment variable [' + name + '] is not set.');
+      return env[name];
+    }
+
+  };
+
+  // Always returns a flat array of module names. @separator is the
+  // namespace separator, "/" by default. If given, @mapper is called
+  // with each name and returns the name to use instead.
+  function parseNeeds(moduleNames, callingModule, separator, mapper) {
+
+    if (typeof separator === 'undefined')
+      var separator = '/';
 
     var parse = function(moduleNames) {
       if (arguments.length > 1)
@@ -384,7 +968,7 @@ var pillar = (function() {
         var namespace = first(split);
 
         if (last(namespace) === ':' && split.length > 1) {
-          var namespace = namespace.replace(/:$/, '/');
+          var namespace = namespace.replace(/:$/, separator);
           return map(split.slice(1), function(moduleName) {
             return namespace + moduleName;
           });
@@ -404,13 +988,17 @@ var pillar = (function() {
 
     var namespaceWithCaller = function(needs) {
       return map(needs, function(moduleName) {
-        return moduleName.replace(/^\.\//, callingModule + '/');
+        return moduleName.substr(0, 2) === './'
+          ? callingModule + separator + moduleName.substr(2)
+          : moduleName;
       });
     };
 
     var results = parse.apply(null, moduleNames);
     if (typeof callingModule !== 'undefined')
       results = namespaceWithCaller(results);
+    if (typeof mapper !== 'undefined')
+      results = map(results, mapper);
     return results;
 
   }
@@ -422,6 +1010,22 @@ var pillar = (function() {
 
     this.modules = {};
 
+    // Options of the package itself. Anything else passed to config()
+    // is a default module option.
+    this.options = {
+      name: null,
+      global: false,
+      hmr: false,
+      amd: false,
+      separator: '/',
+      namePattern: null,
+      paths: {},
+      map: {},
+      profiling: false,
+      logger: null,
+      logLevel: 'warn'
+    };
+
     this.defaultModuleOptions = {
       loadNow: false,
       logOnLoad: false,
@@ -430,102 +1034,716 @@ var pillar = (function() {
 
     this.nthModuleLoaded = 0;
 
+    // Modules being loaded. Used to detect circular imports.
+    this.loading = [];
+
+    // Entry modules (main and loadNow modules) waiting for their
+    // dependencies to be defined.
+    this.queue = [];
+
+    // Errors of entry modules that ran asynchronously and failed, by
+    // module name. See @pending.
+    this.entryErrors = {};
+
+    // Other packages whose modules this one can load, by alias. See
+    // @use.
+    this.packages = {};
+
+    // Packages that use this one.
+    this.users = [];
+
+    // Loads of modules of this package by other packages that are in
+    // progress, most recent last. See @callerFor.
+    this.callers = [];
+
+    // Globals the package has set or removed, with what they were
+    // before, so that @teardown can restore them.
+    this.changedGlobals = [];
+
+    // Event handlers by event name. See @on.
+    this.handlers = {define: [], beforeLoad: [], load: [], error: [], cycle: []};
+
+    // Loader plugins by prefix. See @plugin.
+    this.plugins = {};
+    each(builtinPlugins, function(fn, prefix) {
+      this.plugin(prefix, fn);
+    }, this);
+
+    // Timings recorded since @startProfiling.
+    this.profiling = null;
+
     this.config(config);
 
-    if (config.global)
+    if (this.options.global)
       this.global();
 
-    // Modules being loaded. Used to detect circular imports.
-    this.loading = [];
+    if (this.options.profiling)
+      this.startProfiling();
 
   };
 
-  merge(Package.prototype, errorMixin('Package'));
+  merge(Package.prototype, errorMixin());
 
   // Package methods
   merge(Package.prototype, {
 
-    // Set default module options.
+    /*
+      Sets package options and default module options.
+
+        options: {
+
+          @name: Name of the package, used in error messages and as
+          the default alias when another package uses it. See @use.
+
+          @global: Make define() global. See @global.
+
+          @hmr: Defining a module that already exists redefines it
+          instead of throwing an error. See @redefine.
+
+          @amd: Make the global define() accept AMD style arguments as
+          well, and add a global require(). See @amdDefine.
+
+          @separator: Separates namespaces in module names. Defaults to
+          "/". See @checkName.
+
+          @namePattern: A RegExp every module name must match, eg:
+          /^[a-z][a-z0-9/-]*$/. See @checkName.
+
+          @paths: Maps requested module names to the names of the
+          modules to load, eg: {'jquery': 'vendor/jquery-1.11'}. Keys
+          ending with "*" map every name that starts with them, eg:
+          {'app/legacy/*': 'app/v2/*'}. See @resolveName.
+
+          @map: Same as @paths, for the modules of a given module or
+          namespace only, eg: {'app/admin': {'jquery': 'vendor/jquery-2'}}.
+
+          @profiling: Time module loads from the moment the package is
+          created. See @startProfiling.
+
+          @logger: Where messages go. Either a function called with
+          (level, message, data), or an object with debug, info, warn
+          and error methods called with (message, data). Defaults to
+          the console. See @log.
+
+          @logLevel: The least severe messages to log, one of debug,
+          info, warn, error and silent. Defaults to warn.
+
+        }
+    */
     config: function(options) {
-      merge(this.defaultModuleOptions, options);
+      // Checked first so that a bad level leaves the package as it was.
+      if (has(options, 'logLevel'))
+        this.errorIf(index(LOG_LEVELS, options.logLevel) === -1,
+                     "Unknown log level [{logLevel}].", {logLevel: options.logLevel});
+      each(options, function(val, key) {
+        if (has(this.options, key))
+          this.options[key] = val;
+        else
+          this.defaultModuleOptions[key] = val;
+      }, this);
       return this;
     },
 
-    exists: function(moduleName) {
-      return has(this.modules, moduleName);
+    /*
+      Sends a message to the @logger option, if @level is at least as
+      severe as the @logLevel option, or if @always is true and the
+      level isn't "silent". @message is formatted with @data, which the
+      logger gets as well. The package logs:
+
+        debug: Modules being defined, loaded, taken from the cache
+        and failing to load (the caller gets the error).
+        info: Modules being redefined, and the loads of modules with
+        the @logOnLoad or @logAfterLoad option, whatever the level.
+        warn: CommonJS style modules handing out unfinished exports.
+        error: Entry modules failing to run asynchronously.
+    */
+    log: function(level, message, data, always) {
+      if (typeof data === 'undefined')
+        var data = {};
+      if (this.options.logLevel === 'silent')
+        return;
+      if (!always && index(LOG_LEVELS, level) < index(LOG_LEVELS, this.options.logLevel))
+        return;
+      var logger = this.options.logger === null ? consoleLogger : this.options.logger;
+      message = fmt(message, data);
+      if (typeof logger === 'function')
+        logger(level, message, data);
+      else
+        logger[level](message, data);
     },
 
-    getModule: function(moduleName) {
-      if (this.exists(moduleName))
-        return this.modules[moduleName];
-      else {
-        var errorMsg = 'PillarError: Module [{module}] not found.';
-        var lower = moduleName.toLowerCase();
-        for (var key in this.modules) {
-          if (has(this.modules, key)) {
-            if (lower === key.toLowerCase()) {
-              errorMsg += ' Did you mean [{lower}]?';
-              break;
-            }
-          }
-        }
-        this.error(errorMsg, {module: moduleName, lower: lower});
-      }
+    exists: function(moduleName) {
+      var qualified = splitPackageName(moduleName);
+      if (qualified !== null)
+        return has(this.packages, qualified.alias)
+          && this.packages[qualified.alias].exists(qualified.moduleName);
+      var plugin = splitPluginName(moduleName);
+      if (plugin !== null)
+        return has(this.plugins, plugin.prefix);
+      return has(this.modules, moduleName);
     },
 
     /*
-      Loads packages. Arguments are flexible. Eg, these all return the
-      same result.
+      Calls @handler with details about @event each time it happens,
+      eg:
 
-        needs('foo bar qux');
-        needs('foo', 'bar', 'qux');
-        needs(['foo', 'bar', 'qux']);
-        needs(['foo', 'bar'], 'qux');
-        needs(['foo', 'bar'], ['qux']);
-    */
-    needs: function(moduleNames, callingModule) {
-      var modules = parseNeeds.call(null, moduleNames, callingModule);
+        module.on('load', function(e) {
+          console.log(e.moduleName + ' took ' + e.duration + 'ms');
+        });
+
+      Events:
+
+        define: A module is defined or redefined.
+          {moduleName, options, redefined}
+
+        beforeLoad: A module starts loading, before its dependencies.
+          {moduleName, requestedBy, time}
+
+        load: A module is loaded.
+          {moduleName, requestedBy, time, duration, value}
+
+        error: A module fails to load, by itself or because one of its
+        dependencies did.
+          {moduleName, requestedBy, time, duration, error}
+
+        cycle: A circular dependency is detected. @error is the
+        CircularDependencyError, or null if a CommonJS style module
+        handed out its exports instead (see @define).
+          {moduleName, requestedBy, path, error}
+
+      @requestedBy is undefined for modules needed from outside of a
+      module. @time is when loading started and @duration how long it
+      took, including dependencies, in milliseconds.
+    */
+    on: function(event, handler) {
+      this.errorIf(!has(this.handlers, event), "Unknown event [{event}].", {event: event});
+      this.handlers[event].push(handler);
+      return this;
+    },
+
+    // Removes @handler, or every handler, of @event.
+    off: function(event, handler) {
+      this.errorIf(!has(this.handlers, event), "Unknown event [{event}].", {event: event});
+      if (typeof handler === 'undefined')
+        this.handlers[event] = [];
+      else
+        removeFromArr(this.handlers[event], handler);
+      return this;
+    },
+
+    // Calls the handlers of @event with @data.
+    emit: function(event, data) {
+      each(this.handlers[event].slice(), function(handler) {
+        handler.call(this, data);
+      }, this);
+    },
+
+    /*
+      Starts timing module loads, from scratch. Each load is recorded
+      under the load of the module that needed it, so that @profile
+      can tell the time spent in a definition itself from the time
+      spent loading its dependencies.
+    */
+    startProfiling: function() {
+      this.stopProfiling();
+      var profiling = this.profiling = {roots: [], open: {}, handlers: {}};
+      profiling.handlers.beforeLoad = function(e) {
+        var node = {moduleName: e.moduleName, start: e.time, total: 0, self: 0, failed: false, children: []};
+        var parent = typeof e.requestedBy !== 'undefined' && has(profiling.open, e.requestedBy)
+          ? profiling.open[e.requestedBy].children
+          : profiling.roots;
+        parent.push(node);
+        setKey(profiling.open, e.moduleName, node);
+      };
+      profiling.handlers.load = profiling.handlers.error = function(e) {
+        if (!has(profiling.open, e.moduleName))
+          return;
+        var node = profiling.open[e.moduleName];
+        delete profiling.open[e.moduleName];
+        node.total = e.duration;
+        node.self = e.duration;
+        each(node.children, function(child) {
+          node.self -= child.total;
+        });
+        node.self = Math.max(node.self, 0);
+        node.failed = has(e, 'error');
+      };
+      each(profiling.handlers, function(handler, event) {
+        this.on(event, handler);
+      }, this);
+      return this;
+    },
+
+    // Stops timing module loads. The timings so far are kept.
+    stopProfiling: function() {
+      if (this.profiling === null)
+        return this;
+      each(this.profiling.handlers, function(handler, event) {
+        this.off(event, handler);
+      }, this);
+      this.profiling.handlers = {};
+      return this;
+    },
+
+    /*
+      Returns the timings recorded since @startProfiling, in
+      milliseconds:
+
+        {
+          tree: [{moduleName: 'main', start, total: 12, self: 1, failed: false, children: [...]}],
+          report: [{moduleName: 'app/router', total: 9, self: 8, failed: false}, ...],
+          trace: {traceEvents: [...]}
+        }
+
+      @self is the time spent in the module's definition, and @total
+      also includes the time spent loading its dependencies. @report
+      lists every module once, slowest definition first. @trace is in
+      the Chrome trace event format; save it as JSON and open it in
+      the Performance panel of DevTools.
+    */
+    profile: function() {
+      this.errorIf(this.profiling === null, "Profiling hasn't started. See startProfiling().");
+      var report = [];
+      var traceEvents = [];
+      var visit = function(node) {
+        report.push({moduleName: node.moduleName, total: node.total, self: node.self, failed: node.failed});
+        traceEvents.push({
+          name: node.moduleName,
+          cat: 'pillar',
+          ph: 'X',
+          ts: Math.round(node.start * 1000),
+          dur: Math.round(node.total * 1000),
+          pid: 1,
+          tid: 1,
+          args: {self: node.self, failed: node.failed}
+        });
+        each(node.children, visit);
+      };
+      each(this.profiling.roots, visit);
+      report.sort(function(a, b) {
+        return b.self - a.self;
+      });
+      return {
+        tree: this.profiling.roots,
+        report: report,
+        trace: {traceEvents: traceEvents, displayTimeUnit: 'ms'}
+      };
+    },
+
+    /*
+      Registers a loader plugin. Modules named @prefix!resource, eg:
+      json!config/app, aren't defined but loaded by calling @fn with
+      the resource name. The module's value is what @fn returns. Eg:
+
+        module.plugin('upper', function(name) {
+          return name.toUpperCase();
+        });
+        module.needs('upper!foo'); // -> FOO
+
+      @fn is called once per module, on the module (see @needs). As
+      with defined modules, its value is cached, circular dependencies
+      through this.needs() are detected and failures are reported as
+      a ModuleLoadError. @options are module options (see @define),
+      eg: {async: true} if @fn returns a promise.
+
+      The json, text and env plugins are always available. A plugin
+      registered with the same prefix replaces it.
+    */
+    plugin: function(prefix, fn, options) {
+      if (typeof options === 'undefined')
+        var options = {};
+      this.errorIf(typeof prefix !== 'string' || !/^[^\s,:#!\/]+$/.test(prefix),
+                   "Plugin prefix [{prefix}] is not valid.", {prefix: prefix});
+      setKey(this.plugins, prefix, {fn: fn, options: options});
+      // Entry modules may be waiting on modules of the plugin.
+      this.runQueues();
+      return this;
+    },
+
+    // Adds the module @moduleName, which is loaded by a plugin.
+    addPluginModule: function(moduleName) {
+      var plugin = splitPluginName(moduleName);
+      var registered = this.plugins[plugin.prefix];
+      var options = merge(merge({}, this.defaultModuleOptions), registered.options);
+      return this.addModule(moduleName, function() {
+        return registered.fn.call(this, plugin.resource);
+      }, merge(options, {loadNow: false, needs: []}));
+    },
+
+    /*
+      Maps @moduleName, as requested by the module @requestedBy, with
+      the @paths and @map options. The @map entry for the module
+      itself or its closest namespace wins over @paths. Names that
+      aren't mapped are returned as is.
+    */
+    resolveName: function(moduleName, requestedBy) {
+      var separator = this.options.separator;
+      var consumer = null;
+      if (typeof requestedBy !== 'undefined') {
+        each(this.options.map, function(table, key) {
+          var matches = key === requestedBy || requestedBy.indexOf(key + separator) === 0;
+          if (matches && (consumer === null || key.length > consumer.length))
+            consumer = key;
+        });
+      }
+      var mapped = consumer === null ? null : mapName(this.options.map[consumer], moduleName);
+      if (mapped === null)
+        mapped = mapName(this.options.paths, moduleName);
+      return mapped === null ? moduleName : mapped;
+    },
+
+    /*
+      Lets modules of this package load modules of @pkg, by prefixing
+      their names with an alias and "#", eg:
+
+        app.use(uiKit, {as: 'ui'});
+        app.define('main', function() {
+          var button = this.needs('ui#button');
+        });
+
+      The alias defaults to the name of @pkg. Each package keeps its
+      own cache.
+    */
+    use: function(pkg, options) {
+      if (typeof options === 'undefined')
+        var options = {};
+      var alias = has(options, 'as') ? options.as : pkg.options.name;
+      this.errorIf(typeof alias !== 'string' || alias.length === 0,
+                   "A used package needs a name or an alias.");
+      this.errorIf(has(this.packages, alias),
+                   "A package is already used as [{alias}].", {alias: alias});
+      setKey(this.packages, alias, pkg);
+      if (!has(pkg.users, this))
+        pkg.users.push(this);
+      // Entry modules may be waiting on modules of the package.
+      this.runQueues();
+      return this;
+    },
+
+    // Alias this package uses @pkg under, or null. See @use.
+    aliasOf: function(pkg) {
+      var alias = null;
+      each(this.packages, function(used, name) {
+        if (used === pkg && alias === null)
+          alias = name;
+      });
+      return alias;
+    },
+
+    /*
+      Describes a load of a module of @pkg by this package, so that
+      @pkg can report the modules that led to it. @path is the chain of
+      modules of this package that needs the module, and @caller how
+      this package was called by another one, if it was. See @chainOf.
+    */
+    callerFor: function(pkg, path, caller) {
+      return {
+        package: this,
+        moduleName: path.length > 0 ? last(path) : undefined,
+        chain: this.chainOf(path, caller),
+        prefix: this.aliasOf(pkg) + '#'
+      };
+    },
+
+    // The chain of modules that led to @path, a chain of modules of
+    // this package. If another package loaded them (see @callerFor),
+    // its chain comes first, and the modules of this package are named
+    // the way it names them, eg: ['main', 'ui#button', 'ui#theme'].
+    chainOf: function(path, caller) {
+      if (typeof caller === 'undefined' || caller === null)
+        return path.slice();
+      return caller.chain.concat(map(path, function(moduleName) {
+        return caller.prefix + moduleName;
+      }));
+    },
+
+    // Records that @requestedBy, a module of this package, or else the
+    // module of another package that is loading this one (see
+    // @callerFor), needs @module.
+    addDependent: function(module, requestedBy, caller) {
+      if (typeof requestedBy !== 'undefined')
+        module.addDependent(requestedBy);
+      else if (typeof caller !== 'undefined' && caller !== null && typeof caller.moduleName !== 'undefined')
+        module.addExternalDependent(caller.package, caller.moduleName, caller.prefix + module.moduleName);
+    },
+
+    // @requestedBy is the name of the module asking for
+    // @moduleName. It decides how @moduleName is mapped (see
+    // @resolveName) and is used for error reporting. Modules of used
+    // packages are returned as is, ie, attached to their own package.
+    getModule: function(moduleName, requestedBy) {
+      return this.lookup(this.resolveName(moduleName, requestedBy), requestedBy, moduleName);
+    },
+
+    // Same as @getModule, for a name that is already mapped.
+    // @requestedName is the name before mapping, for error reporting.
+    lookup: function(moduleName, requestedBy, requestedName) {
+      if (typeof requestedName === 'undefined')
+        var requestedName = moduleName;
+      var qualified = splitPackageName(moduleName);
+      if (qualified === null) {
+        var plugin = splitPluginName(moduleName);
+        if (plugin !== null && !has(this.modules, moduleName)) {
+          if (!has(this.plugins, plugin.prefix)) {
+            var errorMsg = 'Plugin [{prefix}] of module [{moduleName}] not found.';
+            if (typeof requestedBy !== 'undefined')
+              errorMsg += ' Required by [{requestedBy}].';
+            this.error(ModuleNotFoundError, errorMsg, {
+              moduleName: requestedName,
+              resolvedName: moduleName,
+              prefix: plugin.prefix,
+              requestedBy: requestedBy,
+              suggestion: null,
+              suggestions: []
+            });
+          }
+          return this.addPluginModule(moduleName);
+        }
+        if (this.exists(moduleName))
+          return this.modules[moduleName];
+        this.moduleNotFound(moduleName, requestedBy, '', this.options.name, requestedName);
+      }
+      if (!has(this.packages, qualified.alias)) {
+        var errorMsg = 'Package [{packageName}] of module [{moduleName}] not found.';
+        if (typeof requestedBy !== 'undefined')
+          errorMsg += ' Required by [{requestedBy}].';
+        this.error(ModuleNotFoundError, errorMsg, {
+          moduleName: moduleName,
+          packageName: qualified.alias,
+          requestedBy: requestedBy,
+          suggestion: null,
+          suggestions: []
+        });
+      }
+      var pkg = this.packages[qualified.alias];
+      if (pkg.exists(qualified.moduleName))
+        return pkg.lookup(qualified.moduleName, requestedBy);
+      pkg.moduleNotFound(moduleName, requestedBy, qualified.alias + '#',
+                         pkg.options.name || qualified.alias, requestedName);
+    },
+
+    // Throws the ModuleNotFoundError for @moduleName, which is looked
+    // up in this package under @prefix. @packageName is mentioned in
+    // the message unless it's null. @requestedName is the name before
+    // mapping.
+    moduleNotFound: function(moduleName, requestedBy, prefix, packageName, requestedName) {
+      var errorMsg = 'Module [{moduleName}] not found.';
+      if (requestedName !== moduleName)
+        errorMsg = 'Module [{moduleName}] (mapped to [{resolvedName}]) not found.';
+      if (packageName !== null)
+        errorMsg = errorMsg.replace(/\.$/, ' in package [{packageName}].');
+      // The module that needs it can't be the one it meant.
+      var candidates = [];
+      each(keys(this.modules), function(name) {
+        if (prefix + name !== requestedBy)
+          candidates.push(name);
+      });
+      var names = suggestNames(moduleName.substr(prefix.length), candidates, this.options.separator);
+      var suggestions = map(names, function(name) {
+        return prefix + name;
+      });
+      if (typeof requestedBy !== 'undefined')
+        errorMsg += ' Required by [{requestedBy}].';
+      var fields = {
+        moduleName: requestedName,
+        resolvedName: moduleName,
+        packageName: packageName,
+        requestedBy: requestedBy,
+        suggestion: suggestions.length > 0 ? first(suggestions) : null,
+        suggestions: suggestions
+      };
+      var message = fmt(errorMsg, fields);
+      if (suggestions.length > 0)
+        message += ' Did you mean [' + suggestions.join('], [') + ']?';
+      throw new ModuleNotFoundError(message, fields);
+    },
+
+    /*
+      Loads packages. Arguments are flexible. Eg, these all return the
+      same result.
+
+        needs('foo bar qux');
+        needs('foo', 'bar', 'qux');
+        needs(['foo', 'bar', 'qux']);
+        needs(['foo', 'bar'], 'qux');
+        needs(['foo', 'bar'], ['qux']);
+    */
+    needs: function(moduleNames, callingModule) {
+      var modules = parseNeeds(moduleNames, callingModule, this.options.separator);
       var results = {};
       for (var i=0; i < modules.length; i++)
-        results[modules[i]] = this.load(modules[i]);
-      if (moduleNames.length === 1
-          && typeof first(moduleNames) === 'string'
-          && first(moduleNames).split(/\s+/).length === 1)
+        setKey(results, modules[i], this.load(modules[i]));
+      if (needsOne(moduleNames))
         return values(results)[0]
       else
         return results;
     },
 
-    load: function(module) {
+    /*
+      Same as @needs, but returns a promise of the result and can load
+      asynchronous modules (see the @async option of @define).
+      Modules are loaded one after the other, in the same order as
+      @needs would.
+    */
+    needsAsync: function(moduleNames, callingModule) {
+      var modules = parseNeeds(moduleNames, callingModule, this.options.separator);
+      var path = typeof callingModule === 'undefined' ? [] : [callingModule];
+      return this.loadAllAsync(modules, path).then(function(results) {
+        return needsOne(moduleNames) ? values(results)[0] : results;
+      });
+    },
+
+    // Loads @moduleNames one after the other. Resolves with a hash of
+    // their values. @path is the chain of modules that requested them,
+    // and @caller the load by another package it started with, if any
+    // (see @callerFor).
+    loadAllAsync: function(moduleNames, path, caller) {
+      var that = this;
+      var results = {};
+      var promise = resolved();
+      each(moduleNames, function(moduleName) {
+        promise = promise.then(function() {
+          return that.loadAsync(moduleName, path, caller);
+        }).then(function(result) {
+          setKey(results, moduleName, result.value);
+        });
+      });
+      return promise.then(function() {
+        return results;
+      });
+    },
+
+    // Resolves with {value: ...} rather than the value itself, so that
+    // a promise returned by a synchronous module is passed on as is.
+    loadAsync: function(module, path, caller) {
+      var that = this;
+      return resolved().then(function() {
+        if (typeof module === 'string')
+          module = that.getModule(module, path[path.length - 1]);
+        if (module.package !== that)
+          return module.package.loadAsync(module, [], that.callerFor(module.package, path, caller));
+        that.addDependent(module, path.length > 0 ? last(path) : undefined, caller);
+        if (has(path, module.moduleName) && module.hasExports()) {
+          that.partialExports(module, last(path), path.concat([module.moduleName]));
+          return {value: module.getExports()};
+        }
+        var modulePath = path.concat([module.moduleName]);
+        that.checkCircularDeps(modulePath, caller);
+        return module.loadAsync(modulePath, caller);
+      });
+    },
+
+    // @caller is given when another package loads @module. See
+    // @callerFor.
+    load: function(module, caller) {
       if (typeof module === 'string')
-        module = this.getModule(module);
+        module = this.getModule(module, this.currentlyLoading());
+      if (module.package !== this)
+        return module.package.load(module, this.callerFor(module.package, this.loading, this.currentCaller()));
+      if (typeof caller !== 'undefined') {
+        this.callers.push(caller);
+        try {
+          return this.load(module);
+        } finally {
+          this.callers.pop();
+        }
+      }
+      var requestedBy = this.currentlyLoading();
+      this.addDependent(module, requestedBy, this.currentCaller());
+      // A CommonJS style module that is still loading hands out its
+      // exports so far instead of failing on the circular dependency.
+      if (has(this.loading, module.moduleName) && module.hasExports()) {
+        this.partialExports(module, requestedBy, this.loading.concat([module.moduleName]));
+        return module.getExports();
+      }
       this.addToLoading(module);
-      this.checkCircularDeps();
-      var result = module.load();
-      this.removeFromLoading(module);
-      return result;
+      try {
+        this.checkCircularDeps();
+        return module.load();
+      } finally {
+        this.removeFromLoading(module);
+      }
+    },
+
+    // Reports that @module, which is still loading, hands out its
+    // exports so far to @requestedBy. @path is the circular chain.
+    partialExports: function(module, requestedBy, path) {
+      this.emit('cycle', {moduleName: module.moduleName, requestedBy: requestedBy, path: path, error: null});
+      this.log('warn', 'Module [{moduleName}] is still loading. [{requestedBy}] gets its exports so far.', {
+        moduleName: module.moduleName,
+        requestedBy: requestedBy,
+        path: path
+      });
     },
 
     addToLoading: function(module) {
       if (typeof module === 'string')
-        module = this.getModule(module);
+        module = this.lookup(module);
       this.loading.push(module.moduleName);
     },
 
+    // Removes the last occurrence of @module, which is the one that
+    // was added most recently.
     removeFromLoading: function(module) {
       if (typeof module === 'string')
-        module = this.getModule(module);
-      removeFromArr(this.loading, module.moduleName);
+        module = this.lookup(module);
+      for (var i=this.loading.length - 1; i >= 0; i--) {
+        if (this.loading[i] === module.moduleName) {
+          this.loading.splice(i, 1);
+          break;
+        }
+      }
     },
 
-    // Checks if there's a sneaky circular dependency making the rounds.
-    checkCircularDeps: function() {
-      var circularDeps = getDuplicates(this.loading);
-      return this.errorIf(
-        circularDeps.length > 0,
-        "Circular dependency detected on modules [{modules}].",
-        {modules: circularDeps.join(', ')}
-      );
+    // Name of the module being loaded, if any.
+    currentlyLoading: function() {
+      return this.loading.length > 0 ? last(this.loading) : undefined;
+    },
+
+    // The load by another package in progress, if any. See @callerFor.
+    currentCaller: function() {
+      return this.callers.length > 0 ? last(this.callers) : undefined;
+    },
+
+    /*
+      Checks if there's a sneaky circular dependency making the
+      rounds, ie, if the module that was just added to @path (defaults
+      to @loading) is already in it. The error reports the full chain of
+      modules that led back to it as @path, eg:
+
+        main -> app/router -> app/session -> app/router
+
+      and the part of it that loops as @cycle.
+    */
+    checkCircularDeps: function(path, caller) {
+      if (typeof path === 'undefined')
+        var path = this.loading;
+      if (typeof caller === 'undefined')
+        var caller = this.currentCaller();
+      if (path.length === 0)
+        return false;
+      var moduleName = last(path);
+      var start = index(path, moduleName);
+      if (start === path.length - 1)
+        return false;
+      // Only modules of this package can be in the cycle, but modules
+      // of a package that loaded them are part of the chain.
+      var chain = this.chainOf(path, caller);
+      var err = new CircularDependencyError(fmt(
+        "Circular dependency detected on modules [{moduleName}]: {chain}.",
+        {moduleName: moduleName, chain: chain.join(' -> ')}
+      ), {
+        moduleName: moduleName,
+        path: chain,
+        cycle: chain.slice(chain.length - path.length + start)
+      });
+      this.emit('cycle', {
+        moduleName: moduleName,
+        requestedBy: chain[chain.length - 2],
+        path: chain.slice(),
+        error: err
+      });
+      throw err;
     },
 
     /*
@@ -553,10 +1771,48 @@ var pillar = (function() {
           option as it allows your app to undermine the behavoir or
           "main" by having multiple entry points.
 
-          @logOnLoad: Show a message when this module is loaded.
+          @logOnLoad: Log when this module starts loading, at the info
+          level and whatever the @logLevel option, unless it's
+          "silent". See @log.
+
+          @logAfterLoad: Log when this module is loaded, the same way.
+
+          @needs: List of dependencies, in the order they are passed
+          to the definition. Overrides the parameter names.
+
+          @commonjs: Parameters named "exports" and "module" get the
+          module's exports object and a {id, exports} object, like in
+          Node. If the definition returns undefined, the module's
+          value is module.exports. A module that is still loading
+          hands out its exports so far to modules that need it in a
+          circular way, instead of failing.
+
+          @async: The definition returns a promise, and the module's
+          value is what the promise resolves with. Asynchronous modules
+          and the modules that depend on them must be loaded with
+          @needsAsync. Entry modules that depend on them are loaded
+          that way automatically.
+
+          @interface: A value with the same shape as the module's, eg:
+          {get: function() {}, items: []}. Automocks of the module are
+          made from it instead of from its real value. See
+          testing.load.
+
+          @scope: Which modules share the module's value. One of:
+            - "package": Every module of the package. The default.
+            - "transient": None, the definition runs again every time
+              the module is needed, so the module is never cached.
+            - A function called with the name of the module that needs
+              it (undefined for @needs calls outside of modules) and
+              its own name, which returns a key. Modules that get the
+              same key share a value. Returning null or undefined works
+              like "transient".
 
         }
 
+        @fn can also be an array of dependency names followed by the
+        definition, eg: ['foo', 'bar', function(foo, bar) {...}]
+
       */
 
       if (typeof options === 'undefined')
@@ -565,41 +1821,829 @@ var pillar = (function() {
       if (typeof fn === 'undefined')
         var fn = function(){};
 
+      if (isArray(fn)) {
+        this.errorIf(fn.length === 0 || typeof last(fn) !== 'function',
+                     InvalidDefinitionError,
+                     "The last item of an annotated definition must be a function.",
+                     {moduleName: moduleName});
+        options = merge({needs: fn.slice(0, -1)}, options);
+        fn = last(fn);
+      }
+
       this.errorIf(typeof moduleName !== 'string',
-                   "First parameter must be a unique string to identify the module.");
+                   InvalidDefinitionError,
+                   "First parameter must be a unique string to identify the module.",
+                   {moduleName: moduleName});
       this.errorIf(moduleName.length === 0,
-                   "Module name cannot be an empty string.");
-      this.errorIf(this.exists(moduleName),
-                   "Module [{module}] already exists.", {module: moduleName});
+                   InvalidDefinitionError,
+                   "Module name cannot be an empty string.",
+                   {moduleName: moduleName});
+      this.checkName(moduleName);
+      this.errorIf(this.exists(moduleName) && !this.options.hmr,
+                   DuplicateModuleError,
+                   "Module [{moduleName}] already exists.", {moduleName: moduleName});
       this.errorIf(typeof fn !== 'function',
-                   "You must pass in a function.")
+                   InvalidDefinitionError,
+                   "You must pass in a function.", {moduleName: moduleName});
+      this.errorIf(has(options, 'needs') && !isArray(options.needs),
+                   InvalidDefinitionError,
+                   "Option [needs] of module [{moduleName}] must be an array.",
+                   {moduleName: moduleName});
+      this.errorIf(has(options, 'scope') && typeof options.scope !== 'function'
+                   && !has(['package', 'transient'], options.scope),
+                   InvalidDefinitionError,
+                   'Option [scope] of module [{moduleName}] must be "package", "transient" or a function.',
+                   {moduleName: moduleName});
+
+      options = merge(merge({}, this.defaultModuleOptions), options);
+      if (this.exists(moduleName))
+        return this.replaceModule(moduleName, fn, options);
+
+      var module = this.addModule(moduleName, fn, options);
+      this.emit('define', {moduleName: moduleName, options: options, redefined: false});
+      this.log('debug', 'Defined [{moduleName}].', {moduleName: moduleName});
+      if (this.isEntry(module))
+        this.queue.push(moduleName);
+      this.runQueues();
+
+      return this;
+
+    },
+
+    isEntry: function(module) {
+      return module.moduleName === 'main' || module.options.loadNow;
+    },
 
-      var module = this.addModule(moduleName, fn, merge({}, merge(this.defaultModuleOptions, options)));
-      if (moduleName === 'main' || module.options.loadNow)
-        this.needs([moduleName]);
+    // Throws an InvalidDefinitionError if @moduleName can't be needed:
+    // it has characters that mean something to needs() (whitespace,
+    // ",", ":", "#", "!"), an empty namespace (eg, app//view) or
+    // doesn't match the @namePattern option.
+    checkName: function(moduleName) {
+      var reserved = /[\s,:#!]/.exec(moduleName);
+      if (reserved !== null) {
+        var character = /\s/.test(reserved[0]) ? 'whitespace' : '"' + reserved[0] + '"';
+        this.error(InvalidDefinitionError,
+                   "Module name [{moduleName}] cannot contain {character}.",
+                   {moduleName: moduleName, character: character});
+      }
+      var separator = this.options.separator;
+      var parts = moduleName.split(separator);
+      this.errorIf(index(parts, '') !== -1,
+                   InvalidDefinitionError,
+                   "Module name [{moduleName}] has an empty namespace.",
+                   {moduleName: moduleName});
+      var pattern = this.options.namePattern;
+      this.errorIf(pattern !== null && !pattern.test(moduleName),
+                   InvalidDefinitionError,
+                   "Module name [{moduleName}] does not match {pattern}.",
+                   {moduleName: moduleName, pattern: String(pattern)});
+    },
+
+    /*
+      Replaces the definition of a module, for reloading during
+      development. This works like @define, except that if the module
+      already exists:
+
+        - Its cache is cleared, along with the cache of every module
+          that loaded it, directly or not. Their dispose handlers are
+          called (see Module.dispose).
+        - Modules that accept updates of their dependencies (see
+          Module.accept) aren't cleared. Their accept handlers are
+          called instead.
+        - Cleared entry modules (main and loadNow modules) run again.
+    */
+    redefine: function(moduleName, fn, options) {
+      var hmr = this.options.hmr;
+      this.options.hmr = true;
+      try {
+        return this.define(moduleName, fn, options);
+      } finally {
+        this.options.hmr = hmr;
+      }
+    },
 
+    replaceModule: function(moduleName, fn, options) {
+      var module = this.lookup(moduleName);
+      var invalidated = this.invalidate(moduleName);
+      module.setDefinition(fn, options);
+      this.emit('define', {moduleName: moduleName, options: options, redefined: true});
+      this.log('info', 'Redefined [{moduleName}].', {moduleName: moduleName});
+      this.reload(invalidated);
       return this;
+    },
 
+    /*
+      Runs the entry modules cleared by @invalidate again and calls the
+      accept handlers, then clears the modules of other packages that
+      loaded cleared modules (see @use) the same way.
+    */
+    reload: function(invalidated) {
+      each(invalidated.modules, function(moduleName) {
+        var module = this.lookup(moduleName);
+        if (this.isEntry(module) && !has(this.queue, moduleName))
+          this.queue.push(moduleName);
+      }, this);
+      this.runQueue();
+      each(invalidated.accepted, function(updated, moduleName) {
+        this.lookup(moduleName).fireAccept(updated);
+      }, this);
+      each(invalidated.external, function(dependent) {
+        var pkg = dependent.package;
+        var module = pkg.lookup(dependent.moduleName);
+        if (module.accepts())
+          module.fireAccept(dependent.updated);
+        else
+          pkg.reload(pkg.invalidate(dependent.moduleName));
+      });
+    },
+
+    /*
+      Clears the cache of @moduleName and of the modules that loaded
+      it, stopping at modules that accept updates. Returns the names of
+      the cleared modules, for each accepting module, the names of its
+      dependencies that were cleared, and the modules of other packages
+      that loaded cleared modules, with the names they know them by. Eg:
+
+        {
+          modules: ['foo', 'main'],
+          accepted: {'app': ['foo']},
+          external: [{package: shop, moduleName: 'cart', updated: ['ui#foo']}]
+        }
+    */
+    invalidate: function(moduleName) {
+      var invalidated = {modules: [], accepted: {}, external: []};
+      var visit = function(moduleName) {
+        if (has(invalidated.modules, moduleName) || has(this.loading, moduleName))
+          return;
+        var module = this.lookup(moduleName);
+        invalidated.modules.push(moduleName);
+        each(module.externalDependents, function(dependent) {
+          var found = null;
+          each(invalidated.external, function(external) {
+            if (external.package === dependent.package && external.moduleName === dependent.moduleName)
+              found = external;
+          });
+          if (found === null) {
+            found = {package: dependent.package, moduleName: dependent.moduleName, updated: []};
+            invalidated.external.push(found);
+          }
+          found.updated.push(dependent.name);
+        });
+        module.reset();
+        each(module.dependents, function(dependent) {
+          if (this.lookup(dependent).accepts()) {
+            if (!has(invalidated.accepted, dependent))
+              setKey(invalidated.accepted, dependent, []);
+            invalidated.accepted[dependent].push(moduleName);
+          } else {
+            visit.call(this, dependent);
+          }
+        }, this);
+      };
+      visit.call(this, moduleName);
+      return invalidated;
+    },
+
+    // Runs queued entry modules whose dependencies are all defined, in
+    // the order they were queued.
+    runQueue: function() {
+      for (var i=0; i < this.queue.length; i++) {
+        var moduleName = this.queue[i];
+        if (this.missingDependencies(moduleName).length === 0) {
+          this.queue.splice(i, 1);
+          if (this.hasAsyncDependencies(moduleName))
+            this.runAsync(moduleName);
+          else
+            this.needs([moduleName]);
+          i = -1;
+        }
+      }
+    },
+
+    // Runs @runQueue here and in the packages that use this one,
+    // directly or not, as their entry modules may be waiting on modules
+    // of this package.
+    runQueues: function() {
+      var visited = [];
+      var run = function(pkg) {
+        if (has(visited, pkg))
+          return;
+        visited.push(pkg);
+        pkg.runQueue();
+        each(pkg.users, run);
+      };
+      run(this);
+    },
+
+    /*
+      Loads the entry module @moduleName with @needsAsync. Nothing
+      waits on the promise, so a failure (which the module reports with
+      an error event) is logged and kept for @pending.
+    */
+    runAsync: function(moduleName) {
+      var that = this;
+      delete this.entryErrors[moduleName];
+      return this.needsAsync([moduleName]).then(null, function(err) {
+        setKey(that.entryErrors, moduleName, err);
+        that.log('error', 'Module [{moduleName}] failed to run: {reason}', {
+          moduleName: moduleName,
+          error: err,
+          reason: err.message
+        });
+      });
+    },
+
+    /*
+      Calls @fn with the name of every module that @moduleName
+      transitively depends on through its parameters (or annotation),
+      including @moduleName itself, once each. Dependencies listed with
+      needs() inside a definition are not known until the definition
+      runs, so they aren't visited.
+    */
+    eachDependency: function(moduleName, fn) {
+      var visited = {};
+      var visit = function(moduleName) {
+        if (has(visited, moduleName))
+          return;
+        setKey(visited, moduleName, true);
+        fn.call(this, moduleName);
+        if (this.exists(moduleName))
+          each(this.dependenciesOf(moduleName), visit, this);
+      };
+      visit.call(this, moduleName);
+    },
+
+    // Lists the modules that @moduleName transitively depends on that
+    // aren't defined yet.
+    missingDependencies: function(moduleName) {
+      var missing = [];
+      this.eachDependency(moduleName, function(dependency) {
+        if (!this.exists(dependency))
+          missing.push(dependency);
+      });
+      return missing;
+    },
+
+    // Checks if @moduleName or any module it transitively depends on is
+    // asynchronous.
+    hasAsyncDependencies: function(moduleName) {
+      var async = false;
+      this.eachDependency(moduleName, function(dependency) {
+        if (this.exists(dependency) && this.lookup(dependency).options.async)
+          async = true;
+      });
+      return async;
+    },
+
+    /*
+      Static introspection. These read the parameters (or annotation)
+      of module definitions and never run them.
+    */
+
+    // Names of the modules @moduleName lists as dependencies, after
+    // mapping (see @resolveName). For a module of a used package (eg,
+    // ui#button), they are prefixed the same way (eg, ui#theme).
+    dependenciesOf: function(moduleName) {
+      var module = this.lookup(moduleName);
+      var prefix = moduleName.substr(0, moduleName.length - module.moduleName.length);
+      var mapper = function(dependency) {
+        return module.package.resolveName(dependency, module.moduleName);
+      };
+      return map(module.getDependencies(mapper), function(dependency) {
+        return prefix + dependency;
+      });
+    },
+
+    // Names of the defined modules that list @moduleName as a
+    // dependency. Modules of named packages that use this one (see
+    // @use) are included too, prefixed with the package name, eg:
+    // 'app#main'.
+    dependentsOf: function(moduleName) {
+      var dependents = [];
+      each(this.modules, function(module, name) {
+        if (has(this.dependenciesOf(name), moduleName))
+          dependents.push(name);
+      }, this);
+      if (moduleName.indexOf('#') !== -1)
+        return dependents;
+      each(this.users, function(user) {
+        var alias = user.aliasOf(this);
+        if (!user.options.name || alias === null)
+          return;
+        each(user.dependentsOf(alias + '#' + moduleName), function(name) {
+          dependents.push(user.options.name + '#' + name);
+        });
+      }, this);
+      return dependents;
+    },
+
+    /*
+      Returns the dependency graph of every defined module. Modules
+      that are depended on but not defined are included with the
+      status "missing". Eg:
+
+        {
+          nodes: [{name: 'main', status: 'loaded'}, ...],
+          edges: [{from: 'main', to: 'app/router'}, ...]
+        }
+    */
+    graph: function() {
+      var nodes = [];
+      var edges = [];
+      var seen = {};
+      var addNode = function(name) {
+        if (!has(seen, name)) {
+          setKey(seen, name, true);
+          nodes.push({name: name, status: this.status(name)});
+        }
+      };
+      each(this.modules, function(module, name) {
+        addNode.call(this, name);
+      }, this);
+      each(this.modules, function(module, name) {
+        each(this.dependenciesOf(name), function(dependency) {
+          addNode.call(this, dependency);
+          edges.push({from: name, to: dependency});
+        }, this);
+      }, this);
+      return {nodes: nodes, edges: edges};
+    },
+
+    /*
+      Returns the names of @entry and the modules it depends on, with
+      every module listed after its dependencies. Without @entry, every
+      defined module is ordered. Throws if a dependency is missing or
+      circular.
+    */
+    topologicalOrder: function(entry) {
+      var order = [];
+      var path = [];
+      var visit = function(moduleName) {
+        if (has(order, moduleName))
+          return;
+        path.push(moduleName);
+        this.checkCircularDeps(path);
+        this.lookup(moduleName, path[path.length - 2]);
+        each(this.dependenciesOf(moduleName), visit, this);
+        path.pop();
+        order.push(moduleName);
+      };
+      if (typeof entry === 'undefined')
+        each(keys(this.modules), visit, this);
+      else
+        visit.call(this, entry);
+      return order;
+    },
+
+    /*
+      Finds the circular dependencies between defined modules. Returns
+      a list of cycles, each being the names of the modules that
+      depend on each other (strongly connected components of the
+      graph).
+    */
+    cycles: function() {
+      var cycles = [];
+      var stack = [];
+      var indexes = {};
+      var lowlinks = {};
+      var counter = 0;
+      var visit = function(moduleName) {
+        setKey(indexes, moduleName, setKey(lowlinks, moduleName, counter++));
+        stack.push(moduleName);
+        var dependencies = this.exists(moduleName) ? this.dependenciesOf(moduleName) : [];
+        each(dependencies, function(dependency) {
+          if (!has(indexes, dependency)) {
+            visit.call(this, dependency);
+            setKey(lowlinks, moduleName, Math.min(lowlinks[moduleName], lowlinks[dependency]));
+          } else if (has(stack, dependency)) {
+            setKey(lowlinks, moduleName, Math.min(lowlinks[moduleName], indexes[dependency]));
+          }
+        }, this);
+        if (lowlinks[moduleName] === indexes[moduleName]) {
+          var component = stack.splice(index(stack, moduleName), stack.length);
+          if (component.length > 1 || has(dependencies, moduleName))
+            cycles.push(component);
+        }
+      };
+      each(this.modules, function(module, moduleName) {
+        if (!has(indexes, moduleName))
+          visit.call(this, moduleName);
+      }, this);
+      return cycles;
+    },
+
+    /*
+      Exports the dependency graph as a plain object, eg:
+
+        {
+          modules: [{
+            name: 'app/router',
+            namespace: 'app',
+            status: 'loaded',
+            dependencies: ['app/session']
+          }, ...],
+          edges: [{from: 'app/router', to: 'app/session', cycle: false}, ...],
+          cycles: [['app/router', 'app/session']]
+        }
+
+      Being named toJSON, JSON.stringify(package) returns the same.
+    */
+    toJSON: function() {
+      var graph = this.graph();
+      var cycles = this.cycles();
+      var inCycle = function(edge) {
+        for (var i=0; i < cycles.length; i++)
+          if (has(cycles[i], edge.from) && has(cycles[i], edge.to))
+            return true;
+        return false;
+      };
+      return {
+        modules: map(graph.nodes, function(node) {
+          return {
+            name: node.name,
+            namespace: getNamespace(node.name, this.options.separator),
+            status: node.status,
+            dependencies: this.exists(node.name) ? this.dependenciesOf(node.name) : []
+          };
+        }, this),
+        edges: map(graph.edges, function(edge) {
+          return {from: edge.from, to: edge.to, cycle: inCycle(edge)};
+        }),
+        cycles: cycles
+      };
+    },
+
+    /*
+      Exports the dependency graph in the Graphviz DOT language. Save
+      it as graph.dot and render it with:
+
+        dot -Tsvg graph.dot -o graph.svg
+
+      Modules are grouped in clusters by namespace, colored by status,
+      and edges that are part of a circular dependency are red.
+    */
+    toDot: function() {
+      var json = this.toJSON();
+      var styles = {
+        defined: '',
+        loading: ', style=filled, fillcolor=lightyellow',
+        loaded: ', style=filled, fillcolor=palegreen',
+        failed: ', style=filled, fillcolor=salmon',
+        missing: ', style=dashed'
+      };
+      var namespaces = {};
+      each(json.modules, function(module) {
+        if (!has(namespaces, module.namespace))
+          setKey(namespaces, module.namespace, []);
+        namespaces[module.namespace].push(
+          dotId(module.name) + ' [status=' + dotId(module.status) + styles[module.status] + '];'
+        );
+      });
+      var lines = ['digraph pillar {'];
+      each(namespaces, function(nodes, namespace) {
+        if (namespace === '') {
+          each(nodes, function(node) {
+            lines.push('  ' + node);
+          });
+        } else {
+          lines.push('  subgraph ' + dotId('cluster_' + namespace) + ' {');
+          lines.push('    label=' + dotId(namespace) + ';');
+          each(nodes, function(node) {
+            lines.push('    ' + node);
+          });
+          lines.push('  }');
+        }
+      });
+      each(json.edges, function(edge) {
+        lines.push('  ' + dotId(edge.from) + ' -> ' + dotId(edge.to)
+                   + (edge.cycle ? ' [cycle=true, color=red];' : ';'));
+      });
+      lines.push('}');
+      return lines.join('\n');
+    },
+
+    // One of "defined", "loading", "loaded", "failed" or "missing" if
+    // @moduleName isn't defined.
+    status: function(moduleName) {
+      if (!this.exists(moduleName))
+        return 'missing';
+      return this.lookup(moduleName).status();
+    },
+
+    /*
+      Lists the entry modules that haven't run yet and what each is
+      still waiting on, followed by the entry modules that failed to
+      run asynchronously along with their @error. Eg:
+
+        [{moduleName: 'main', missing: ['app/router']},
+         {moduleName: 'app/init', missing: [], error: err}]
+    */
+    pending: function() {
+      var pending = map(this.queue, function(moduleName) {
+        return {
+          moduleName: moduleName,
+          missing: this.missingDependencies(moduleName)
+        };
+      }, this);
+      each(this.entryErrors, function(err, moduleName) {
+        pending.push({moduleName: moduleName, missing: [], error: err});
+      });
+      return pending;
+    },
+
+    /*
+      Throws a ModuleNotFoundError if any entry module is still waiting
+      on undefined modules, or the error an entry module failed to run
+      asynchronously with. Call this once every module should have
+      been defined, eg:
+
+        window.addEventListener('load', function() {
+          app.checkPending();
+        });
+    */
+    checkPending: function() {
+      var pending = this.pending();
+      for (var i=0; i < pending.length; i++) {
+        if (has(pending[i], 'error'))
+          throw pending[i].error;
+      }
+      if (pending.length === 0)
+        return this;
+      this.error(ModuleNotFoundError, "Modules were never defined: {waiting}.", {
+        waiting: map(pending, function(entry) {
+          return '[' + entry.moduleName + '] is waiting on [' + entry.missing.join(', ') + ']';
+        }).join('; '),
+        moduleName: first(pending).missing[0],
+        requestedBy: first(pending).moduleName,
+        pending: pending
+      });
     },
 
     addModule: function(moduleName, fn, options) {
-      return this.modules[moduleName] = new Module({
+      return setKey(this.modules, moduleName, new Module({
         package: this,
         moduleName: moduleName,
         definition : fn,
         options: options
-      });
+      }));
     },
 
     // Makes the @define method global. This is useful if you only
-    // want a need package for your entire app.
+    // want a need package for your entire app. With the @amd option,
+    // AMD style define() calls are handled too, and require() is made
+    // global as well. define(name, function) is always a Pillar
+    // definition, so its parameters are module names.
     global: function(context) {
       if (typeof context === 'undefined')
         var context = window;
       var that = this;
-      context.define = function() {
+      this.setGlobal(context, 'define', function() {
+        if (that.options.amd && isAmdDefine(arguments))
+          return that.amdDefine.apply(that, arguments);
         return that.define.apply(that, arguments);
+      });
+      if (this.options.amd) {
+        context.define.amd = {};
+        this.setGlobal(context, 'require', function() {
+          return that.amdRequire.apply(that, arguments);
+        });
+      }
+    },
+
+    /*
+      Defines adapter modules for third party libraries that export
+      globals. Eg:
+
+        module.shim({
+          $: {global: 'jQuery', remove: ['$', 'jQuery']},
+          Backbone: {deps: ['$', 'underscore']}
+        });
+
+        options: {
+
+          @global: Name of the global that is the module's value.
+          Defaults to the module name.
+
+          @remove: Globals to remove once the module is loaded, so
+          that the library can only be reached as a module.
+
+          @deps: Modules to load before the module, eg, the libraries a
+          plugin attaches itself to.
+
+        }
+
+      Globals are read from @context, window by default. Loading a
+      shim whose global doesn't exist throws a GlobalNotFoundError.
+      Removed globals are put back by @teardown.
+    */
+    shim: function(shims, context) {
+      if (typeof context === 'undefined')
+        var context = window;
+      each(shims, function(options, moduleName) {
+        var globalName = has(options, 'global') ? options.global : moduleName;
+        var remove = has(options, 'remove') ? options.remove : [];
+        this.define(moduleName, function() {
+          // The package the module is loaded in, which is another one
+          // for copies of the module made by @sandbox.
+          var pkg = this.package;
+          pkg.errorIf(!(globalName in context),
+                      GlobalNotFoundError,
+                      "Global [{globalName}] of module [{moduleName}] not found."
+                      + " Is its script included before the module is needed?",
+                      {moduleName: moduleName, globalName: globalName});
+          var value = context[globalName];
+          each(remove, function(name) {
+            pkg.removeGlobal(context, name);
+          });
+          return value;
+        }, {needs: has(options, 'deps') ? options.deps : []});
+      }, this);
+      return this;
+    },
+
+    // Sets the global @name of @context to @value. See @teardown.
+    setGlobal: function(context, name, value) {
+      this.changedGlobals.push({context: context, name: name, existed: has(context, name), value: context[name]});
+      context[name] = value;
+    },
+
+    // Removes the global @name of @context. See @teardown.
+    removeGlobal: function(context, name) {
+      if (!has(context, name))
+        return;
+      this.changedGlobals.push({context: context, name: name, existed: true, value: context[name]});
+      try {
+        delete context[name];
+      } catch (e) {
+        // Globals declared with var can't be deleted.
+        context[name] = undefined;
+      }
+    },
+
+    /*
+      Undoes what the package did outside of itself. Loaded modules
+      are cleared, most recently loaded first, which runs their
+      dispose handlers (see Module.dispose), and globals the package
+      set or removed (see @global and @shim) get their previous values
+      back. Modules stay defined and load again when needed.
+    */
+    teardown: function() {
+      var loaded = [];
+      each(this.modules, function(module) {
+        if (module.isCached())
+          loaded.push(module);
+      });
+      loaded.sort(function(a, b) {
+        return b._loadOrder - a._loadOrder;
+      });
+      each(loaded, function(module) {
+        module.reset();
+      });
+      each(this.changedGlobals.reverse(), function(change) {
+        if (change.existed)
+          change.context[change.name] = change.value;
+        else
+          delete change.context[change.name];
+      });
+      this.changedGlobals = [];
+      return this;
+    },
+
+    /*
+      Returns a new package with the same definitions, options, plugins
+      and used packages, but none of the loaded values, so that modules
+      can be tested in isolation. Eg:
+
+        var sandbox = app.sandbox({
+          overrides: {'app/api': fakeApi},
+          stubs: {'app/session': function() {return {user: null};}}
+        });
+        sandbox.needs('app/routes/user'); // Gets fakeApi.
+
+        options: {
+
+          @overrides: Values to use instead of loading the modules of
+          the same names.
+
+          @stubs: Definitions to use instead of the definitions of the
+          modules of the same names. They can have dependencies like
+          any definition.
+
+        }
+
+      Nothing done in the sandbox affects this package. Throw it away
+      after each test, calling @teardown first if its modules set
+      globals. The sandbox never makes define() global.
+    */
+    sandbox: function(options) {
+      if (typeof options === 'undefined')
+        var options = {};
+      var overrides = has(options, 'overrides') ? options.overrides : {};
+      var stubs = has(options, 'stubs') ? options.stubs : {};
+      var sandbox = new Package(merge(merge({}, this.options), {global: false, profiling: false}));
+      merge(sandbox.defaultModuleOptions, this.defaultModuleOptions);
+      merge(sandbox.plugins, this.plugins);
+      merge(sandbox.packages, this.packages);
+      each(this.modules, function(module, moduleName) {
+        // Modules of plugins are created again when needed.
+        if (!has(overrides, moduleName) && !has(stubs, moduleName) && splitPluginName(moduleName) === null)
+          sandbox.addModule(moduleName, module.getDefinition(), module.options);
+      });
+      each(overrides, function(value, moduleName) {
+        sandbox.define(moduleName, function() {
+          return value;
+        }, {needs: []});
+      });
+      each(stubs, function(fn, moduleName) {
+        sandbox.define(moduleName, fn);
+      });
+      return sandbox;
+    },
+
+    /*
+      Defines a module the AMD way, so that libraries written for
+      RequireJS can register themselves unmodified. Usage:
+
+        amdDefine(name, deps, factory)
+        amdDefine(name, factory)
+        amdDefine(deps, factory)
+        amdDefine(factory)
+
+      @deps are module ids, which can be relative to the module being
+      defined (eg, '../util'), or one of the special ids "require",
+      "exports" and "module". @factory can also be a value, which
+      becomes the module's value.
+
+      Anonymous modules take their name from the data-module attribute
+      of the script that defines them.
+    */
+    amdDefine: function(name, deps, factory) {
+      var args = toArr(arguments);
+      var that = this;
+      var name = typeof first(args) === 'string' ? args.shift() : this.currentScriptName();
+      var factory = args.pop();
+      var deps = args.length > 0 ? first(args) : null;
+
+      if (deps === null)
+        deps = typeof factory === 'function' && factory.length > 0 ? ['require', 'exports', 'module'] : [];
+      deps = map(deps, function(id) {
+        return resolveAmdId(id, name);
+      });
+
+      // "exports" and "module" are handled by the commonjs option, so
+      // only "require" is left to pass in.
+      var needs = [];
+      each(deps, function(id) {
+        if (id !== 'require')
+          needs.push(id);
+      });
+
+      return this.define(name, function() {
+        var dependencies = toArr(arguments);
+        var args = map(deps, function(id) {
+          return id === 'require' ? that.amdRequireFor(name) : dependencies.shift();
+        });
+        if (typeof factory !== 'function')
+          return factory;
+        return factory.apply(this.hasExports() ? this.getExports() : null, args);
+      }, {needs: needs, commonjs: true});
+    },
+
+    /*
+      AMD style require. Synchronously returns the value of a module,
+      or calls @callback with the values of a list of modules:
+
+        amdRequire('app/router')
+        amdRequire(['app/router', 'app/session'], function(router, session) {...})
+    */
+    amdRequire: function(deps, callback) {
+      return this.amdRequireFor(undefined)(deps, callback);
+    },
+
+    // Returns a require function that resolves ids relative to the
+    // module @moduleName.
+    amdRequireFor: function(moduleName) {
+      var that = this;
+      return function(deps, callback) {
+        if (typeof deps === 'string')
+          return that.needs([resolveAmdId(deps, moduleName)]);
+        var values = map(deps, function(id) {
+          return that.needs([resolveAmdId(id, moduleName)]);
+        });
+        if (typeof callback === 'function')
+          callback.apply(null, values);
       };
+    },
+
+    // Name of an anonymous AMD module, taken from the script that is
+    // being run.
+    currentScriptName: function() {
+      var script = typeof document !== 'undefined' ? document.currentScript : null;
+      var name = script ? script.getAttribute('data-module') : null;
+      this.errorIf(!name,
+                   InvalidDefinitionError,
+                   "Anonymous AMD modules must be defined by a script with a data-module attribute.");
+      return name;
     }
 
   });
@@ -614,72 +2658,589 @@ var pillar = (function() {
 
     this.package = opts.package;
     this.moduleName = opts.moduleName;
-    this.options = merge(merge({}, opts.package.defaultOptions), opts.options);
+    this.setDefinition(opts.definition, opts.options);
+
+    // Values of the module by scope key. See @scopeKey.
+    this._cache = {};
+
+    // The error the definition failed with, if it did.
+    this._error = null;
+
+    // Promises of the asynchronous loads in progress by scope key.
+    this._promises = {};
+
+    // The {id, exports} object of a CommonJS style module that is
+    // loading or loaded.
+    this._module = null;
+
+    // Names of the modules that loaded this one.
+    this.dependents = [];
+
+    // Modules of other packages that loaded this one, as
+    // {package, moduleName, name}, where @name is what they call this
+    // module. See Package.use.
+    this.externalDependents = [];
+
+    // When the module was loaded, relative to the other modules of
+    // its package. See Package.teardown.
+    this._loadOrder = null;
+
+    // Dispose handlers by the scope key of the value they dispose of.
+    this._disposeHandlers = {};
+    this._acceptHandlers = [];
 
-    this._definition = opts.definition;
-    this._cache = null;
-    this._isCached = false;
+    // Scope key of the value the definition is running for. See
+    // @callDefinition.
+    this._scopeKey = '';
 
   }
 
-  merge(Module.prototype, errorMixin('Module'));
+  merge(Module.prototype, errorMixin());
 
   merge(Module.prototype, {
 
-    cache: function(expr) {
-      this._cache = expr;
-      this._isCached = true;
+    /*
+      Key the value of the module is cached under when @requestedBy
+      needs it, or null if it isn't cached. See the @scope option of
+      Package.define.
+    */
+    scopeKey: function(requestedBy) {
+      var scope = this.options.scope;
+      if (typeof scope === 'function') {
+        var key = scope.call(this, requestedBy, this.moduleName);
+        return key === null || typeof key === 'undefined' ? null : String(key);
+      }
+      return scope === 'transient' ? null : '';
+    },
+
+    // Caches @expr under @key (defaults to the package scope) and
+    // returns it.
+    cache: function(expr, key) {
+      if (typeof key === 'undefined')
+        var key = '';
+      if (key === null)
+        return expr;
+      if (!this.isCached())
+        this._loadOrder = this.package.nthModuleLoaded++;
+      setKey(this._cache, key, expr);
       return expr;
     },
 
-    isCached: function() {
-      return this._isCached;
+    // Checks if there's a value cached under @key, or under any key if
+    // it's not given.
+    isCached: function(key) {
+      if (typeof key === 'undefined')
+        return keys(this._cache).length > 0;
+      return key !== null && has(this._cache, key);
+    },
+
+    hasFailed: function() {
+      return this._error !== null;
+    },
+
+    status: function() {
+      if (this.hasFailed())
+        return 'failed';
+      if (this.isCached())
+        return 'loaded';
+      if (has(this.package.loading, this.moduleName))
+        return 'loading';
+      return 'defined';
+    },
+
+    getError: function() {
+      return this._error;
+    },
+
+    /*
+      Marks the module as failed and returns the error to throw. Errors
+      that didn't come from Pillar (ie, thrown by the definition) are
+      wrapped in a ModuleLoadError that names the module and the chain
+      of modules that required it. An AsyncModuleError is returned as
+      is, as the module can load once the asynchronous module resolves.
+    */
+    fail: function(err, chain) {
+      if (err instanceof AsyncModuleError)
+        return err;
+      if (!(err instanceof PillarError)) {
+        if (typeof chain === 'undefined')
+          var chain = this.package.chainOf(this.package.loading, this.package.currentCaller());
+        var msg = 'Module [{moduleName}] failed to load: {reason}';
+        if (chain.length > 1)
+          msg += ' Required by: {chain}.';
+        err = new ModuleLoadError(fmt(msg, {
+          moduleName: this.moduleName,
+          reason: err instanceof Error ? err.message : String(err),
+          chain: chain.join(' -> ')
+        }), {
+          moduleName: this.moduleName,
+          requestedBy: chain.length > 1 ? chain[chain.length - 2] : undefined,
+          chain: chain,
+          cause: err
+        });
+      }
+      return this._error = err;
     },
 
-    getCache: function() {
-      return this._cache;
+    getCache: function(key) {
+      if (typeof key === 'undefined')
+        var key = '';
+      return key !== null && has(this._cache, key) ? this._cache[key] : null;
     },
 
     getDefinition: function() {
       return this._definition;
     },
 
-    callDefinition: function() {
-      return this.cache(this._definition.apply(this, arguments));
+    setDefinition: function(fn, options) {
+      this._definition = fn;
+      this.options = merge(merge({}, this.package.defaultModuleOptions), options);
+    },
+
+    addDependent: function(moduleName) {
+      if (!has(this.dependents, moduleName))
+        this.dependents.push(moduleName);
+    },
+
+    addExternalDependent: function(pkg, moduleName, name) {
+      for (var i=0; i < this.externalDependents.length; i++) {
+        var dependent = this.externalDependents[i];
+        if (dependent.package === pkg && dependent.moduleName === moduleName)
+          return;
+      }
+      this.externalDependents.push({package: pkg, moduleName: moduleName, name: name});
+    },
+
+    /*
+      Registers a handler that is called with the module's value when
+      the module is cleared by Package.redefine. Use it to undo side
+      effects of the definition, eg, removing event listeners. Called
+      from a definition whose value is scoped (see the @scope option of
+      Package.define), the handler only gets the value the definition
+      returned. Values of transient modules aren't kept, so handlers
+      registered for them are never called.
+    */
+    dispose: function(fn) {
+      var key = this._scopeKey;
+      if (key === null)
+        return this;
+      if (!has(this._disposeHandlers, key))
+        setKey(this._disposeHandlers, key, []);
+      this._disposeHandlers[key].push(fn);
+      return this;
+    },
+
+    /*
+      Registers a handler that is called, instead of clearing this
+      module, when any of the modules it loaded is cleared by
+      Package.redefine. The handler gets the names of the cleared
+      modules and can load them again with @needs.
+    */
+    accept: function(fn) {
+      this._acceptHandlers.push(fn);
+      return this;
+    },
+
+    accepts: function() {
+      return this._acceptHandlers.length > 0;
+    },
+
+    fireAccept: function(moduleNames) {
+      each(this._acceptHandlers, function(fn) {
+        fn.call(this, moduleNames);
+      }, this);
+    },
+
+    // Clears the cache and failure of the module and calls its dispose
+    // handlers, each with the value it was registered for.
+    reset: function() {
+      each(this._disposeHandlers, function(handlers, key) {
+        var value = this.getCache(key);
+        each(handlers, function(fn) {
+          fn.call(this, value);
+        }, this);
+      }, this);
+      this._disposeHandlers = {};
+      this._acceptHandlers = [];
+      this._cache = {};
+      this._error = null;
+      this._promises = {};
+      this._module = null;
+      this._loadOrder = null;
+    },
+
+    // Names of the modules this module depends on. An explicit
+    // annotation wins over the definition's parameter names.
+    getNeeds: function() {
+      if (isArray(this.options.needs))
+        return this.options.needs;
+      if (isArray(this._definition.$needs))
+        return this._definition.$needs;
+      return getFnParams(this._definition);
+    },
+
+    // Checks if @name is the special "exports" or "module" parameter of
+    // a CommonJS style module rather than a dependency.
+    isSpecial: function(name) {
+      return !!this.options.commonjs && (name === 'exports' || name === 'module');
+    },
+
+    // Names of the modules this module depends on, ie, @getNeeds with
+    // namespaces expanded, special parameters left out and names mapped
+    // with @mapper if given (see Package.resolveName).
+    getDependencies: function(mapper) {
+      var dependencies = [];
+      var names = parseNeeds([this.getNeeds()], this.moduleName, this.package.options.separator, mapper);
+      each(names, function(name) {
+        if (!this.isSpecial(name))
+          dependencies.push(name);
+      }, this);
+      return dependencies;
+    },
+
+    // Sets up the exports of a CommonJS style module, if it has any.
+    initExports: function() {
+      var needs = this.getNeeds();
+      if (this.isSpecial('exports') && (has(needs, 'exports') || has(needs, 'module')))
+        this._module = {id: this.moduleName, exports: {}};
+    },
+
+    hasExports: function() {
+      return this._module !== null;
+    },
+
+    getExports: function() {
+      return this._module.exports;
     },
 
+    /*
+      Calls the definition with the values of its dependencies, given
+      as a hash keyed by module name, and returns its result. The
+      result of a CommonJS style module that returns undefined is its
+      exports. @key is the scope key of the result (see @scopeKey).
+    */
+    callDefinition: function(dependencies, key) {
+      var args = map(parseNeeds([this.getNeeds()], this.moduleName, this.package.options.separator), function(name) {
+        if (this.isSpecial(name))
+          return name === 'exports' ? this.getExports() : this._module;
+        return dependencies[name];
+      }, this);
+      var scopeKey = this._scopeKey;
+      this._scopeKey = key;
+      try {
+        var result = this._definition.apply(this, args);
+      } finally {
+        this._scopeKey = scopeKey;
+      }
+      if (typeof result === 'undefined' && this.hasExports())
+        return this.getExports();
+      return result;
+    },
+
+    // Loads the module once per scope (see @scopeKey). If loading
+    // fails, every later load throws the same error instead of running
+    // the definition again.
     load: function() {
-      if (!this.isCached()) {
-        if (this.options.logOnLoad)
-          log('Loading [' + this.moduleName + '].');
-        var paramNames = getFnParams(this.getDefinition());
-        var dependencies = this.needs(paramNames);
-        this.callDefinition.apply(this, (values(dependencies)));
-        if (this.options.logAfterLoad)
-          log('Finished loading [' + this.moduleName + '].');
+      if (this.hasFailed())
+        throw this.getError();
+      var requestedBy = this.package.loading[this.package.loading.length - 2];
+      var key = this.scopeKey(requestedBy);
+      if (!this.isCached(key) && this.options.async) {
+        this.error(AsyncModuleError,
+                   "Module [{moduleName}] is asynchronous and hasn't resolved yet."
+                   + " Load it with needsAsync().",
+                   {moduleName: this.moduleName, requestedBy: requestedBy});
+      }
+      if (this.isCached(key)) {
+        this.logCacheHit(requestedBy);
+        return this.getCache(key);
       }
-      return this.getCache();
+      var start = this.emitLoading(requestedBy);
+      try {
+        this.initExports();
+        var dependencies = this.needs(this.getDependencies());
+      } catch (e) {
+        // Only the dependency failed, so the module can still load
+        // once it's fixed, eg, defined, or has resolved.
+        throw this.emitLoaded(requestedBy, start, e);
+      }
+      try {
+        var value = this.cache(this.callDefinition(dependencies, key), key);
+      } catch (e) {
+        throw this.emitLoaded(requestedBy, start, this.fail(e));
+      }
+      this.emitLoaded(requestedBy, start, undefined, value);
+      return value;
+    },
+
+    /*
+      Same as @load, but loads dependencies asynchronously and returns a
+      promise that resolves with {value: ...} once the module is loaded.
+      @path is the chain of modules that led to this one, ending with
+      it, and @caller the load by another package it started with, if
+      any (see Package.callerFor).
+    */
+    loadAsync: function(path, caller) {
+      if (this.hasFailed())
+        return Promise.reject(this.getError());
+      var requestedBy = path[path.length - 2];
+      var key = this.scopeKey(requestedBy);
+      if (this.isCached(key)) {
+        this.logCacheHit(requestedBy);
+        return resolved({value: this.getCache(key)});
+      }
+      if (key !== null && has(this._promises, key))
+        return this._promises[key];
+      var that = this;
+      var start = this.emitLoading(requestedBy);
+      this.initExports();
+      var promise = this.package.loadAllAsync(
+        this.getDependencies(), path, caller
+      ).then(function(dependencies) {
+        that.package.addToLoading(that);
+        try {
+          var result = that.callDefinition(dependencies, key);
+        } catch (e) {
+          throw that.fail(e, that.package.chainOf(path, caller));
+        } finally {
+          that.package.removeFromLoading(that);
+        }
+        if (!that.options.async)
+          return {value: that.cache(result, key)};
+        return resolved(result).then(function(result) {
+          return {value: that.cache(result, key)};
+        }, function(e) {
+          throw that.fail(e, that.package.chainOf(path, caller));
+        });
+      }).then(function(result) {
+        if (key !== null)
+          delete that._promises[key];
+        that.emitLoaded(requestedBy, start, undefined, result.value);
+        return result;
+      }, function(e) {
+        if (key !== null)
+          delete that._promises[key];
+        // Errors of dependencies don't fail the module, see @load.
+        throw that.emitLoaded(requestedBy, start, e);
+      });
+      if (key !== null)
+        setKey(this._promises, key, promise);
+      return promise;
+    },
+
+    // Emits the beforeLoad event of the package, logs it and returns
+    // the time loading started.
+    emitLoading: function(requestedBy) {
+      var start = now();
+      this.package.emit('beforeLoad', {moduleName: this.moduleName, requestedBy: requestedBy, time: start});
+      this.package.log(this.options.logOnLoad ? 'info' : 'debug', 'Loading [{moduleName}].', {
+        moduleName: this.moduleName,
+        requestedBy: requestedBy
+      }, this.options.logOnLoad);
+      return start;
+    },
+
+    // Emits the load event of the package with the loaded @value, or
+    // the error event if loading failed with @err, which is returned,
+    // and logs it.
+    emitLoaded: function(requestedBy, start, err, value) {
+      var data = {moduleName: this.moduleName, requestedBy: requestedBy, time: start, duration: now() - start};
+      if (typeof err === 'undefined') {
+        this.package.emit('load', merge(merge({}, data), {value: value}));
+        this.package.log(this.options.logAfterLoad ? 'info' : 'debug', 'Finished loading [{moduleName}].', data,
+                         this.options.logAfterLoad);
+      } else {
+        this.package.emit('error', merge(merge({}, data), {error: err}));
+        // The error is thrown to whoever needed the module, so it's
+        // up to them to report it.
+        this.package.log('debug', 'Failed loading [{moduleName}]: {reason}', merge(data, {
+          error: err,
+          reason: err.message
+        }));
+      }
+      return err;
+    },
+
+    logCacheHit: function(requestedBy) {
+      this.package.log('debug', 'Using the cached value of [{moduleName}].', {
+        moduleName: this.moduleName,
+        requestedBy: requestedBy
+      });
     },
 
     needs: function() {
       return this.package.needs.call(this.package, arguments, this.moduleName);
     },
 
+    needsAsync: function() {
+      return this.package.needsAsync.call(this.package, arguments, this.moduleName);
+    },
+
     run: function() {
       return this.package.run.call(this.package, arguments, this.moduleName);
     }
 
   });
 
+  /*
+    Returns a stand-in for @value with the same shape: functions are
+    replaced with functions that do nothing, and objects with objects
+    that have the same keys, recursively. Every use of the stand-in is
+    reported to @record with its path, eg: "get" when the key get is
+    read, and "get()" along with the arguments when it is called.
+  */
+  function mirror(value, record, path, seen) {
+    if (typeof seen === 'undefined')
+      var seen = [];
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function'))
+      return value;
+    for (var i=0; i < seen.length; i++)
+      if (seen[i].value === value)
+        return seen[i].mock;
+    var mock;
+    if (typeof value === 'function') {
+      mock = function() {
+        record(path + '()', toArr(arguments));
+      };
+    } else {
+      mock = isArray(value) ? [] : {};
+    }
+    seen.push({value: value, mock: mock});
+    var mirrorKey = function(target, source, key) {
+      var child = mirror(source[key], record, path === '' ? key : path + '.' + key, seen);
+      Object.defineProperty(target, key, {
+        enumerable: true,
+        configurable: true,
+        get: function() {
+          record(path === '' ? key : path + '.' + key);
+          return child;
+        },
+        set: function(val) {
+          child = val;
+        }
+      });
+    };
+    each(value, function(val, key) {
+      mirrorKey(mock, value, key);
+    });
+    // Methods of constructors, which may not be enumerable.
+    if (typeof value === 'function' && typeof value.prototype === 'object') {
+      each(Object.getOwnPropertyNames(value.prototype), function(key) {
+        if (key !== 'constructor')
+          mirrorKey(mock.prototype, value.prototype, key);
+      });
+    }
+    return mock;
+  }
+
+  /*
+    Helpers for testing modules.
+  */
+  var testing = {
+
+    /*
+      Loads @moduleName of @pkg in a sandbox (see Package.sandbox) and
+      returns:
+
+        {
+          value: The value of the module.
+          sandbox: The package it was loaded in.
+          mocks: The automocks made so far, by module name.
+          touched: Names of the dependencies the module has used so
+          far, ie, read a key of or called.
+          usage: What the module has used of each dependency so far,
+          by module name, eg: {'app/api': ['get', 'get()']}.
+          calls: The calls to functions of automocks so far, by module
+          name, eg: {'app/api': [{path: 'get()', args: ['/cart']}]}.
+        }
+
+        options: {
+
+          @automock: Replace every other module with an automock: a
+          stand-in with the same shape as its real value that does
+          nothing. The shape comes from the @interface option of the
+          module if it has one (see Package.define), or else from
+          loading the module in another sandbox. Entry modules (see
+          @loadNow) aren't replaced.
+
+          @overrides, @stubs: See Package.sandbox. They win over
+          automocks.
+
+        }
+
+      The lists in the result keep growing as the module uses its
+      dependencies, eg, when the test calls its functions. Reading
+      keys of @mocks counts as well, so check @calls instead.
+    */
+    load: function(pkg, moduleName, options) {
+      if (typeof options === 'undefined')
+        var options = {};
+      var overrides = has(options, 'overrides') ? options.overrides : {};
+      var stubs = merge({}, has(options, 'stubs') ? options.stubs : {});
+      var result = {value: undefined, sandbox: null, mocks: {}, touched: [], usage: {}, calls: {}};
+      var real = null;
+
+      var automock = function(name) {
+        var module = pkg.getModule(name);
+        var shape;
+        if (has(module.options, 'interface')) {
+          shape = module.options.interface;
+        } else {
+          if (real === null)
+            real = pkg.sandbox();
+          shape = real.needs([name]);
+        }
+        setKey(result.usage, name, []);
+        setKey(result.calls, name, []);
+        return setKey(result.mocks, name, mirror(shape, function(path, args) {
+          if (!has(result.touched, name))
+            result.touched.push(name);
+          if (!has(result.usage[name], path))
+            result.usage[name].push(path);
+          if (typeof args !== 'undefined')
+            result.calls[name].push({path: path, args: args});
+        }, ''));
+      };
+
+      if (options.automock) {
+        each(pkg.modules, function(module, name) {
+          if (name === moduleName || pkg.isEntry(module) || has(overrides, name) || has(stubs, name)
+              || splitPluginName(name) !== null)
+            return;
+          setKey(stubs, name, function() {
+            return automock(name);
+          });
+        });
+      }
+      result.sandbox = pkg.sandbox({overrides: overrides, stubs: stubs});
+      result.value = result.sandbox.needs([moduleName]);
+      return result;
+    }
+
+  };
+
   var util = makeNamesDict(
     first, last, trim, index, has, toArr,
-    keys, values, removeFromArr, merge,
+    setKey, keys, values, removeFromArr, merge,
     isArray, each, map, getDuplicates,
     getFnName, makeNamesDict, getFnParams,
-    fmt, parseNeeds
+    fmt, editDistance, suggestNames, getNamespace,
+    mapName, splitPackageName, splitPluginName,
+    resolveAmdId, isAmdDefine, parseNeeds
   );
 
-  return {Package: Package, Module: Module, util: util};
+  var error = {
+    PillarError: PillarError,
+    ModuleNotFoundError: ModuleNotFoundError,
+    CircularDependencyError: CircularDependencyError,
+    DuplicateModuleError: DuplicateModuleError,
+    InvalidDefinitionError: InvalidDefinitionError,
+    ModuleLoadError: ModuleLoadError,
+    AsyncModuleError: AsyncModuleError,
+    GlobalNotFoundError: GlobalNotFoundError
+  };
+
+  return {Package: Package, Module: Module, util: util, error: error, testing: testing};
 
 })();
 
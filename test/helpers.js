@@ -0,0 +1,24 @@
+/*
+  Helpers shared by the test files.
+*/
+
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// Makes a new, empty temporary directory and returns its path.
+var tempDir = function() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'pillar-test-'));
+};
+
+// Removes @dir and everything in it. rmSync is missing before Node
+// 14.14.
+var removeDir = function(dir) {
+  (fs.rmSync || fs.rmdirSync)(dir, {recursive: true, force: true});
+};
+
+module.exports = {
+  tempDir: tempDir,
+  removeDir: removeDir
+};
@@ -33,6 +33,15 @@ var bind = function(fn, context) {
   }
 };
 
+// Returns the error thrown by @fn, or undefined if it didn't throw.
+var catchError = function(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+};
+
 describe("Util", function() {
 
   // Make functions in util available in current scrope.
@@ -49,7 +58,7 @@ describe("Util", function() {
       first(this.simpleArr).should.equal(1);
     });
     it("throws an error", function() {
-      compose(first)([]).should.throw();
+      compose(first)([]).should.throw(error.PillarError);
       first.should.throw();
     });
   });
@@ -85,6 +94,21 @@ describe("Util", function() {
       has(this.simpleArr, 3).should.be.true;
       has(this.simpleArr, 42).should.be.false;
     });
+    it("checks own keys of objects that shadow Object.prototype", function() {
+      has({hasOwnProperty: 1}, 'hasOwnProperty').should.be.true;
+      has({}, 'toString').should.be.false;
+    });
+  });
+
+  describe("setKey", function() {
+    it("sets any key, including __proto__, as an own property", function() {
+      var obj = {};
+      setKey(obj, '__proto__', 1).should.equal(1);
+      setKey(obj, 'foo', 2);
+      has(obj, '__proto__').should.be.true;
+      keys(obj).should.eql(['__proto__', 'foo']);
+      Object.getPrototypeOf(obj).should.equal(Object.prototype);
+    });
   });
 
   describe("keys", function() {
@@ -119,9 +143,45 @@ describe("Util", function() {
     });
   });
 
+  describe("editDistance", function() {
+    it("counts insertions, deletions, replacements and swaps", function() {
+      editDistance('app/user', 'app/user').should.equal(0);
+      editDistance('app/usr', 'app/user').should.equal(1);
+      editDistance('app/users', 'app/user').should.equal(1);
+      editDistance('app/usex', 'app/user').should.equal(1);
+      editDistance('app/uesr', 'app/user').should.equal(1);
+      editDistance('', 'abc').should.equal(3);
+    });
+  });
+
+  describe("suggestNames", function() {
+    it("ranks similar names and names in other namespaces", function() {
+      var names = ['app/routes/user', 'app/models/user', 'app/routes/users', 'main'];
+      suggestNames('app/routes/usr', names).should.eql(['app/routes/user', 'app/routes/users']);
+      suggestNames('app/route/user', names).should.eql(['app/routes/user', 'app/models/user', 'app/routes/users']);
+      suggestNames('APP/ROUTES/USER', names)[0].should.equal('app/routes/user');
+      suggestNames('app.user', ['app.models.user'], '.').should.eql(['app.models.user']);
+      suggestNames('router', names).should.eql([]);
+    });
+  });
+
+  describe("mapName", function() {
+    it("maps exact names and prefixes ending with *", function() {
+      var table = {'jquery': 'vendor/jquery', 'app/*': 'lib/*', 'app/legacy/*': 'app/v2/*'};
+      mapName(table, 'jquery').should.equal('vendor/jquery');
+      mapName(table, 'app/user').should.equal('lib/user');
+      mapName(table, 'app/legacy/user').should.equal('app/v2/user');
+      should.equal(mapName(table, 'jquery/ui'), null);
+    });
+  });
+
   describe("fmt", function() {
     it("formats a string", function() {
       fmt('{foo} there {bar}', {foo: 'hello', bar: 'world'}).should.equal('hello there world');
+      fmt('{moduleName}', {moduleName: 'foo'}).should.equal('foo');
+    });
+    it("throws an error for a missing key", function() {
+      compose(fmt)('{foo}', {}).should.throw(error.PillarError, /Key "foo" was not found/);
     });
   });
 
@@ -159,6 +219,11 @@ describe("Util", function() {
 
     });
 
+    it("uses a custom namespace separator", function() {
+      parseNeeds(['foo: a b'], undefined, '.').should.eql(['foo.a', 'foo.b']);
+      parseNeeds(['./a'], 'foo', '.').should.eql(['foo.a']);
+    });
+
   });
 
 });
@@ -170,7 +235,7 @@ describe("Package", function() {
   var app;
 
   beforeEach(function() {
-    app = new pillar.Package();
+    app = new pillar.Package({logLevel: 'silent'});
   });
 
   it("creates a basic module", function() {
@@ -199,6 +264,38 @@ describe("Package", function() {
     ran.should.be.true;
   });
 
+  it("defers main until its dependencies are defined", function() {
+    var spy = sinon.spy();
+    app.define('main', function(foo) {spy(foo)});
+    app.define('foo', function(bar) {return 'foo'});
+    spy.called.should.be.false;
+    app.define('bar');
+    spy.calledOnce.should.be.true;
+    spy.calledWith('foo').should.be.true;
+  });
+
+  it("lists pending entry modules and what they are waiting on", function() {
+    app.define('foo', function(qux) {});
+    app.define('main', function(foo, bar) {});
+    app.define('boot', function(qux) {}, {loadNow: true});
+    app.pending().should.eql([
+      {moduleName: 'main', missing: ['qux', 'bar']},
+      {moduleName: 'boot', missing: ['qux']}
+    ]);
+    app.define('qux');
+    app.pending().should.eql([{moduleName: 'main', missing: ['bar']}]);
+  });
+
+  it("reports entry modules that are still waiting", function() {
+    app.checkPending().should.equal(app);
+    app.define('main', function(foo) {});
+    var err = catchError(bind(app.checkPending, app));
+    err.should.be.an.instanceof(error.ModuleNotFoundError);
+    err.message.should.equal('Modules were never defined: [main] is waiting on [foo].');
+    err.moduleName.should.equal('foo');
+    err.requestedBy.should.equal('main');
+  });
+
   it("defines a non-main module and does not run immediately", function() {
     var ran = false;
     app.define('foo');
@@ -214,6 +311,62 @@ describe("Package", function() {
     });
   });
 
+  it("reports the full dependency chain of a circular dependency", function() {
+    app.define('app/router', function() {this.needs('app/routes/user')});
+    app.define('app/routes/user', function() {this.needs('app/session')});
+    app.define('app/session', function() {this.needs('app/router')});
+    var err = catchError(function() {
+      app.define('main', function() {this.needs('app/router')});
+    });
+    err.should.be.an.instanceof(error.CircularDependencyError);
+    err.message.should.contain('main -> app/router -> app/routes/user -> app/session -> app/router');
+    err.moduleName.should.equal('app/router');
+    err.path.should.eql(['main', 'app/router', 'app/routes/user', 'app/session', 'app/router']);
+    err.cycle.should.eql(['app/router', 'app/routes/user', 'app/session', 'app/router']);
+  });
+
+  it("recovers the loading stack when a definition throws", function() {
+    app.define('broken', function() {throw new Error('oops')});
+    app.define('foo', function() {return 'foo'});
+    compose(app.needs, app)(['broken']).should.throw(error.ModuleLoadError);
+    app.loading.should.eql([]);
+    app.needs(['foo']).should.equal('foo');
+  });
+
+  it("wraps a failing definition in a ModuleLoadError with the requiring chain", function() {
+    var cause = new Error('oops');
+    app.define('c', function() {throw cause});
+    app.define('b', function(c) {});
+    app.define('a', function(b) {});
+    var err = catchError(compose(app.needs, app)(['a']));
+    err.should.be.an.instanceof(error.ModuleLoadError);
+    err.message.should.equal('Module [c] failed to load: oops Required by: a -> b -> c.');
+    err.moduleName.should.equal('c');
+    err.requestedBy.should.equal('b');
+    err.chain.should.eql(['a', 'b', 'c']);
+    err.cause.should.equal(cause);
+  });
+
+  it("re-raises the original failure instead of running a failed definition again", function() {
+    var spy = sinon.spy();
+    app.define('broken', function() {spy(); throw new Error('oops')});
+    app.define('foo', function(broken) {});
+    var err = catchError(compose(app.needs, app)(['foo']));
+    err.should.be.an.instanceof(error.ModuleLoadError);
+    catchError(compose(app.needs, app)(['broken'])).should.equal(err);
+    catchError(compose(app.needs, app)(['foo'])).should.equal(err);
+    spy.calledOnce.should.be.true;
+  });
+
+  it("loads a module once its missing dependency is defined", function() {
+    app.define('a', function(b) {return b});
+    var err = catchError(compose(app.needs, app)(['a']));
+    err.should.be.an.instanceof(error.ModuleNotFoundError);
+    app.status('a').should.equal('defined');
+    app.define('b', function() {return 'b'});
+    app.needs(['a']).should.equal('b');
+  });
+
   it("imports a module and gets its return value", function() {
     app.define('answer', function() {
       return function(){return 42};
@@ -241,7 +394,7 @@ describe("Package", function() {
 
   it("creates two packages with the same name and throws an error", function() {
     app.define('foo');
-    compose(app.define, app)('foo').should.throw();
+    compose(app.define, app)('foo').should.throw(error.DuplicateModuleError, /Module \[foo\] already exists/);
   });
 
   it("loads 3 modules with namespacing", function() {
@@ -287,6 +440,19 @@ describe("Package", function() {
     (typeof module.define).should.equal('function');
   });
 
+  it("makes define global when created with the global option", function() {
+    global.window = {};
+    try {
+      var pkg = new pillar.Package({global: true, amd: true});
+      window.define('foo', [], function() {return 'foo'});
+      window.require('foo').should.equal('foo');
+      pkg.teardown();
+      window.should.not.have.property('define');
+    } finally {
+      delete global.window;
+    }
+  });
+
   it("interprets './' to mean the current module name within an import.", function() {
     var spy = sinon.spy();
     app.define('todo/models', function() {return 'models'});
@@ -316,4 +482,1382 @@ describe("Package", function() {
     spy.calledThrice.should.be.true;
   });
 
+  it("redefines a module and reloads the modules that depend on it", function() {
+    var spy = sinon.spy();
+    app.define('foo', function() {return 1});
+    app.define('bar', function(foo) {return foo + 1});
+    app.define('qux', function() {spy(); return 'qux'});
+    app.define('main', function(bar, qux) {spy(bar)});
+    app.redefine('foo', function() {return 10});
+    spy.calledWith(2).should.be.true;
+    spy.calledWith(11).should.be.true;
+    spy.callCount.should.equal(3);
+    app.needs(['bar']).should.equal(11);
+  });
+
+  it("redefines existing modules with define() in hmr mode", function() {
+    compose(app.define, app)('foo').should.not.throw();
+    compose(app.define, app)('foo').should.throw(error.DuplicateModuleError);
+    app.config({hmr: true});
+    app.options.hmr.should.be.true;
+    app.defaultModuleOptions.should.not.have.property('hmr');
+    app.define('foo', function() {return 'new foo'});
+    app.needs(['foo']).should.equal('new foo');
+  });
+
+  it("calls dispose handlers of cleared modules", function() {
+    var spy = sinon.spy();
+    app.define('foo', function() {
+      this.dispose(spy);
+      return 'foo';
+    });
+    app.needs(['foo']);
+    app.redefine('foo', function() {});
+    spy.calledOnce.should.be.true;
+    spy.calledWith('foo').should.be.true;
+  });
+
+  it("calls accept handlers instead of clearing accepting modules", function() {
+    var spy = sinon.spy();
+    var count = 0;
+    app.define('foo', function() {return 1});
+    app.define('bar', function(foo) {
+      count++;
+      this.accept(function(updated) {
+        spy(updated, this.needs('foo'));
+      });
+    });
+    app.needs(['bar']);
+    app.redefine('foo', function() {return 2});
+    count.should.equal(1);
+    spy.calledWith(['foo'], 2).should.be.true;
+  });
+
+  describe("introspection", function() {
+
+    beforeEach(function() {
+      this.spy = sinon.spy();
+      var spy = this.spy;
+      app.define('foo', function() {spy()});
+      app.define('bar', function(foo) {spy()});
+      app.define('todo', ['./models', 'foo', function(models, foo) {spy()}]);
+      app.define('todo/models', function(bar) {spy()});
+    });
+
+    it("lists dependencies and dependents without loading modules", function() {
+      app.dependenciesOf('todo').should.eql(['todo/models', 'foo']);
+      app.dependenciesOf('foo').should.eql([]);
+      app.dependentsOf('foo').should.eql(['bar', 'todo']);
+      app.dependentsOf('todo').should.eql([]);
+      this.spy.called.should.be.false;
+    });
+
+    it("returns the dependency graph", function() {
+      app.define('qux', function(missing) {});
+      app.graph().should.eql({
+        nodes: [
+          {name: 'foo', status: 'defined'},
+          {name: 'bar', status: 'defined'},
+          {name: 'todo', status: 'defined'},
+          {name: 'todo/models', status: 'defined'},
+          {name: 'qux', status: 'defined'},
+          {name: 'missing', status: 'missing'}
+        ],
+        edges: [
+          {from: 'bar', to: 'foo'},
+          {from: 'todo', to: 'todo/models'},
+          {from: 'todo', to: 'foo'},
+          {from: 'todo/models', to: 'bar'},
+          {from: 'qux', to: 'missing'}
+        ]
+      });
+      this.spy.called.should.be.false;
+    });
+
+    it("orders modules after their dependencies", function() {
+      app.topologicalOrder('todo').should.eql(['foo', 'bar', 'todo/models', 'todo']);
+      app.topologicalOrder().should.eql(['foo', 'bar', 'todo/models', 'todo']);
+      this.spy.called.should.be.false;
+    });
+
+    it("throws when ordering missing or circular dependencies", function() {
+      app.define('qux', function(missing) {});
+      app.define('a', function(b) {});
+      app.define('b', function(a) {});
+      catchError(compose(app.topologicalOrder, app)('qux'))
+        .should.be.an.instanceof(error.ModuleNotFoundError);
+      catchError(compose(app.topologicalOrder, app)('a'))
+        .path.should.eql(['a', 'b', 'a']);
+    });
+
+    it("finds circular dependencies", function() {
+      app.cycles().should.eql([]);
+      app.define('a', function(b) {});
+      app.define('b', function(c) {});
+      app.define('c', function(a) {});
+      app.define('self', function(self) {});
+      app.cycles().should.eql([['a', 'b', 'c'], ['self']]);
+    });
+
+    it("exports the graph as JSON", function() {
+      app.define('foo/a', ['foo/b', function() {}]);
+      app.define('foo/b', ['foo/a', function() {}]);
+      app.needs(['bar']);
+      var json = JSON.parse(JSON.stringify(app));
+      json.modules[0].should.eql({name: 'foo', namespace: '', status: 'loaded', dependencies: []});
+      json.modules[3].should.eql({
+        name: 'todo/models', namespace: 'todo', status: 'defined', dependencies: ['bar']
+      });
+      json.edges[0].should.eql({from: 'bar', to: 'foo', cycle: false});
+      json.edges[json.edges.length - 1].should.eql({from: 'foo/b', to: 'foo/a', cycle: true});
+      json.cycles.should.eql([['foo/a', 'foo/b']]);
+    });
+
+    it("exports the graph as Graphviz DOT", function() {
+      app.define('a', function(b) {});
+      app.define('b', function(a) {});
+      app.needs(['foo']);
+      app.toDot().should.equal([
+        'digraph pillar {',
+        '  "foo" [status="loaded", style=filled, fillcolor=palegreen];',
+        '  "bar" [status="defined"];',
+        '  "todo" [status="defined"];',
+        '  "a" [status="defined"];',
+        '  "b" [status="defined"];',
+        '  subgraph "cluster_todo" {',
+        '    label="todo";',
+        '    "todo/models" [status="defined"];',
+        '  }',
+        '  "bar" -> "foo";',
+        '  "todo" -> "todo/models";',
+        '  "todo" -> "foo";',
+        '  "todo/models" -> "bar";',
+        '  "a" -> "b" [cycle=true, color=red];',
+        '  "b" -> "a" [cycle=true, color=red];',
+        '}'
+      ].join('\n'));
+    });
+
+    it("reports the status of modules", function() {
+      app.define('broken', function() {
+        app.status('broken').should.equal('loading');
+        throw new Error('oops');
+      });
+      app.status('foo').should.equal('defined');
+      app.needs(['bar']);
+      app.status('foo').should.equal('loaded');
+      catchError(compose(app.needs, app)(['broken'])).should.be.an.instanceof(error.ModuleLoadError);
+      app.status('broken').should.equal('failed');
+      app.status('nope').should.equal('missing');
+    });
+
+  });
+
+  describe("AMD", function() {
+
+    var ctx;
+
+    beforeEach(function() {
+      app = new pillar.Package({amd: true});
+      ctx = {};
+      app.global(ctx);
+    });
+
+    it("installs AMD style define and require", function() {
+      (typeof ctx.define.amd).should.equal('object');
+      (typeof ctx.require).should.equal('function');
+      var pkg = new pillar.Package();
+      var plain = {};
+      pkg.global(plain);
+      plain.should.not.have.property('require');
+      plain.define.should.not.have.property('amd');
+    });
+
+    it("defines modules with a list of dependencies", function() {
+      ctx.define('app/util', [], function() {return 'util'});
+      ctx.define('app/models/user', ['../util'], function(util) {return 'user:' + util});
+      ctx.define('jquery', [], function() {return 'jQuery'});
+      ctx.define('app/main', ['jquery', './models/user'], function($, user) {
+        return [$, user];
+      });
+      ctx.require('app/main').should.eql(['jQuery', 'user:util']);
+    });
+
+    it("still accepts Pillar style definitions", function() {
+      ctx.define('foo', function() {return 'foo'});
+      ctx.define('bar', ['foo', function(f) {return f + 'bar'}]);
+      ctx.require('bar').should.equal('foobar');
+    });
+
+    it("supports the require, exports and module dependencies", function() {
+      ctx.define('a', ['exports'], function(exports) {exports.name = 'a'});
+      ctx.define('b', ['require', 'module'], function(require, module) {
+        module.exports = {name: 'b', a: require('a')};
+      });
+      ctx.define('c', ['require', 'exports'], function(require, exports) {
+        exports.b = require('b');
+      });
+      ctx.require('c').should.eql({b: {name: 'b', a: {name: 'a'}}});
+    });
+
+    it("defines value modules", function() {
+      ctx.define('config', {debug: true});
+      ctx.require('config').should.eql({debug: true});
+    });
+
+    it("requires a list of modules with a callback", function() {
+      var spy = sinon.spy();
+      ctx.define('a', [], function() {return 1});
+      ctx.define('b', [], function() {return 2});
+      ctx.require(['a', 'b'], spy);
+      spy.calledWith(1, 2).should.be.true;
+    });
+
+    it("throws for anonymous modules outside of a named script", function() {
+      compose(ctx.define)([], function() {}).should.throw(error.InvalidDefinitionError);
+    });
+
+  });
+
+  describe("CommonJS style modules", function() {
+
+    beforeEach(function() {
+      app.config({commonjs: true});
+    });
+
+    it("injects exports and module", function() {
+      app.define('a', function(exports) {exports.name = 'a'});
+      app.define('b', function(module, a) {module.exports = {a: a}});
+      app.define('c', function(exports) {return 'c'});
+      app.needs(['b']).should.eql({a: {name: 'a'}});
+      app.needs(['c']).should.equal('c');
+      app.dependenciesOf('b').should.eql(['a']);
+    });
+
+    it("hands out partial exports to circular dependencies", function() {
+      app.define('user', function(exports, team) {
+        exports.name = 'user';
+        exports.getTeam = function() {return team};
+      });
+      app.define('team', function(exports, user) {
+        exports.name = 'team';
+        exports.getUser = function() {return user};
+      });
+      var user = app.needs(['user']);
+      var team = app.needs(['team']);
+      user.getTeam().should.equal(team);
+      team.getUser().should.equal(user);
+      team.getUser().name.should.equal('user');
+    });
+
+    it("still fails on cycles that exports can't satisfy", function() {
+      app.define('a', function(b) {return 'a'});
+      app.define('b', function(exports, a) {});
+      catchError(compose(app.needs, app)(['a']))
+        .should.be.an.instanceof(error.CircularDependencyError);
+    });
+
+    it("hands out partial exports when loading asynchronously", function() {
+      app.define('user', function(exports, team) {exports.team = team}, {async: true});
+      app.define('team', function(exports, user) {exports.user = user});
+      return app.needsAsync(['user']).then(function(user) {
+        user.team.user.should.equal(user);
+      });
+    });
+
+    it("is off by default", function() {
+      var pkg = new pillar.Package();
+      pkg.define('exports', function() {return 'a module'});
+      pkg.define('foo', function(exports) {return exports});
+      pkg.needs(['foo']).should.equal('a module');
+    });
+
+  });
+
+  describe("async modules", function() {
+
+    it("passes the resolved value of an async module to its dependents", function() {
+      app.define('config', function() {
+        return Promise.resolve({debug: true});
+      }, {async: true});
+      app.define('foo', function(config) {return config.debug});
+      return app.needsAsync(['foo']).then(function(foo) {
+        foo.should.be.true;
+        app.needs(['config']).should.eql({debug: true});
+      });
+    });
+
+    it("loads modules in the same order as the sync resolver", function() {
+      var order = [];
+      app.define('a', function() {
+        order.push('a');
+        return new Promise(function(resolve) {setTimeout(resolve, 5)});
+      }, {async: true});
+      app.define('b', function() {order.push('b')});
+      app.define('c', function(a, b) {order.push('c')});
+      app.define('d', function() {order.push('d')}, {async: true});
+      return app.needsAsync(['c', 'd']).then(function(results) {
+        order.should.eql(['a', 'b', 'c', 'd']);
+        results.should.have.keys('c', 'd');
+      });
+    });
+
+    it("runs main asynchronously when it depends on async modules", function(done) {
+      app.define('config', function() {return Promise.resolve(42)}, {async: true});
+      app.define('main', function(config) {
+        config.should.equal(42);
+        done();
+      });
+    });
+
+    it("reports an async main that fails instead of leaving the rejection unhandled", function(done) {
+      var cause = new Error('offline');
+      var messages = [];
+      app.config({logLevel: 'error', logger: function(level, message) {
+        messages.push([level, message]);
+      }});
+      app.on('error', function(event) {
+        if (event.moduleName !== 'main')
+          return;
+        setTimeout(function() {
+          util.last(messages).should.eql(
+            ['error', 'Module [main] failed to run: Module [config] failed to load: offline Required by: main -> config.']
+          );
+          var pending = app.pending();
+          pending.should.have.length(1);
+          pending[0].moduleName.should.equal('main');
+          pending[0].error.cause.should.equal(cause);
+          catchError(bind(app.checkPending, app)).should.equal(pending[0].error);
+          done();
+        }, 0);
+      });
+      app.define('config', function() {return Promise.reject(cause)}, {async: true});
+      app.define('main', function(config) {});
+    });
+
+    it("throws when an unresolved async module is needed synchronously", function() {
+      app.define('config', function() {return Promise.resolve(42)}, {async: true});
+      app.define('foo', function(config) {return config});
+      var err = catchError(compose(app.needs, app)(['foo']));
+      err.should.be.an.instanceof(error.AsyncModuleError);
+      err.moduleName.should.equal('config');
+      err.requestedBy.should.equal('foo');
+      err.message.should.match(/needsAsync/);
+      return app.needsAsync(['foo']).then(function(foo) {
+        foo.should.equal(42);
+      });
+    });
+
+    it("marks modules whose promise rejects as failed", function() {
+      var cause = new Error('offline');
+      app.define('config', function() {return Promise.reject(cause)}, {async: true});
+      app.define('foo', function(config) {});
+      return app.needsAsync(['foo']).then(function() {
+        throw new Error('Expected a rejection.');
+      }, function(err) {
+        err.should.be.an.instanceof(error.ModuleLoadError);
+        err.cause.should.equal(cause);
+        err.chain.should.eql(['foo', 'config']);
+        app.status('config').should.equal('failed');
+        app.status('foo').should.equal('defined');
+      });
+    });
+
+    it("detects circular dependencies", function() {
+      app.define('a', function(b) {}, {async: true});
+      app.define('b', function(a) {});
+      return app.needsAsync(['a']).then(function() {
+        throw new Error('Expected a rejection.');
+      }, function(err) {
+        err.should.be.an.instanceof(error.CircularDependencyError);
+        err.path.should.eql(['a', 'b', 'a']);
+      });
+    });
+
+  });
+
+  describe("scopes", function() {
+
+    var counter;
+
+    beforeEach(function() {
+      var n = 0;
+      counter = function() {return {id: ++n}};
+    });
+
+    it("shares one value in the package by default", function() {
+      app.define('client', counter, {scope: 'package'});
+      app.define('a', function(client) {return client});
+      app.define('b', function(client) {return client});
+      app.needs(['a']).should.equal(app.needs(['b']));
+    });
+
+    it("runs transient modules for every module that needs them", function() {
+      app.define('client', counter, {scope: 'transient'});
+      app.define('a', function(client) {return client});
+      app.define('b', function(client) {return client});
+      app.needs(['a']).id.should.equal(1);
+      app.needs(['b']).id.should.equal(2);
+      app.needs(['client']).id.should.equal(3);
+      app.status('client').should.equal('defined');
+      app.status('a').should.equal('loaded');
+    });
+
+    it("shares values between modules with the same custom scope key", function() {
+      var scope = sinon.spy(function(requestedBy) {
+        return util.getNamespace(requestedBy || '');
+      });
+      app.define('client', counter, {scope: scope});
+      app.define('admin/users', function(client) {return client});
+      app.define('admin/roles', function(client) {return client});
+      app.define('shop/cart', function(client) {return client});
+      app.needs(['admin/users']).should.equal(app.needs(['admin/roles']));
+      app.needs(['shop/cart']).id.should.equal(2);
+      scope.calledWith('shop/cart', 'client').should.be.true;
+      app.status('client').should.equal('loaded');
+    });
+
+    it("runs the definition again when the scope key is null", function() {
+      app.define('client', counter, {scope: function() {return null}});
+      app.needs(['client']).id.should.equal(1);
+      app.needs(['client']).id.should.equal(2);
+    });
+
+    it("loads transient modules asynchronously", function() {
+      app.define('client', function() {
+        return Promise.resolve(counter());
+      }, {async: true, scope: 'transient'});
+      app.define('a', function(client) {return client});
+      app.define('b', function(client) {return client});
+      return app.needsAsync(['a', 'b']).then(function(results) {
+        results.a.id.should.not.equal(results.b.id);
+      });
+    });
+
+    it("detects circular dependencies through transient modules", function() {
+      app.define('a', function(b) {}, {scope: 'transient'});
+      app.define('b', function(a) {}, {scope: 'transient'});
+      var err = catchError(compose(app.needs, app)(['a']));
+      err.should.be.an.instanceof(error.CircularDependencyError);
+      err.path.should.eql(['a', 'b', 'a']);
+      return app.needsAsync(['b']).then(function() {
+        throw new Error('Expected a rejection.');
+      }, function(err) {
+        err.should.be.an.instanceof(error.CircularDependencyError);
+      });
+    });
+
+    it("calls dispose handlers with the value they were registered for", function() {
+      var disposed = [];
+      app.define('client', function() {
+        var value = counter();
+        this.dispose(function(v) {disposed.push([value.id, v.id])});
+        return value;
+      }, {scope: function(requestedBy) {return requestedBy}});
+      app.define('a', function(client) {});
+      app.define('b', function(client) {});
+      app.needs(['a', 'b']);
+      app.redefine('client', counter);
+      disposed.should.eql([[1, 1], [2, 2]]);
+    });
+
+    it("rejects unknown scopes", function() {
+      var err = catchError(compose(app.define, app)('client', counter, {scope: 'request'}));
+      err.should.be.an.instanceof(error.InvalidDefinitionError);
+      err.message.should.equal('Option [scope] of module [client] must be "package", "transient" or a function.');
+    });
+
+  });
+
+  describe("module names", function() {
+
+    it("rejects names with characters that have a meaning in needs()", function() {
+      util.each(['a b', 'a,b', 'a:b', 'a#b', 'a!b', 'a\tb'], function(name) {
+        compose(app.define, app)(name).should.throw(error.InvalidDefinitionError);
+      });
+      var err = catchError(compose(app.define, app)('app: router'));
+      err.message.should.equal('Module name [app: router] cannot contain ":".');
+      err.moduleName.should.equal('app: router');
+      app.exists('app: router').should.be.false;
+    });
+
+    it("rejects empty namespaces", function() {
+      util.each(['/a', 'a/', 'a//b'], function(name) {
+        compose(app.define, app)(name).should.throw(error.InvalidDefinitionError, /empty namespace/);
+      });
+    });
+
+    it("follows a configured separator and name pattern", function() {
+      app.config({separator: '.', namePattern: /^[a-z.]+$/});
+      app.define('app.router', function() {return 'router'});
+      app.define('app', function() {return this.needs('./router')});
+      app.needs(['app']).should.equal('router');
+      app.toJSON().modules[0].namespace.should.equal('app');
+      compose(app.define, app)('app..view').should.throw(/empty namespace/);
+      compose(app.define, app)('App').should.throw(error.InvalidDefinitionError,
+        'Module name [App] does not match /^[a-z.]+$/.');
+    });
+
+    it("keeps names that shadow Object.prototype apart", function() {
+      app.exists('hasOwnProperty').should.be.false;
+      app.exists('__proto__').should.be.false;
+      app.define('hasOwnProperty', function() {return 1});
+      app.define('__proto__', function() {return 2});
+      app.define('constructor', function(__proto__, hasOwnProperty) {
+        return __proto__ + hasOwnProperty;
+      });
+      app.needs(['constructor']).should.equal(3);
+      var results = app.needs(['__proto__ hasOwnProperty']);
+      util.keys(results).should.eql(['__proto__', 'hasOwnProperty']);
+      util.values(results).should.eql([2, 1]);
+      util.keys(app.modules).should.eql(['hasOwnProperty', '__proto__', 'constructor']);
+      app.status('toString').should.equal('missing');
+    });
+
+  });
+
+  describe("mapping module names", function() {
+
+    beforeEach(function() {
+      app.define('vendor/jquery-1.11', function() {return '1.11'});
+      app.define('vendor/jquery-2', function() {return '2'});
+      app.define('app/v2/user', function() {return 'v2 user'});
+    });
+
+    it("maps names with the paths option", function() {
+      app.config({paths: {'jquery': 'vendor/jquery-1.11', 'app/legacy/*': 'app/v2/*'}});
+      app.define('foo', function(jquery) {return jquery});
+      app.needs(['foo']).should.equal('1.11');
+      app.needs(['app/legacy/user']).should.equal('v2 user');
+      app.needs(['jquery app/legacy/user']).should.eql({'jquery': '1.11', 'app/legacy/user': 'v2 user'});
+    });
+
+    it("maps names for the modules of a namespace with the map option", function() {
+      app.config({
+        paths: {'jquery': 'vendor/jquery-1.11'},
+        map: {'app/admin': {'jquery': 'vendor/jquery-2'}, 'app/admin/old': {'foo': 'bar'}}
+      });
+      app.define('app/admin/users', function(jquery) {return jquery});
+      app.define('app/admin/old/users', function(jquery) {return jquery});
+      app.define('app/public', function(jquery) {return jquery});
+      app.needs(['app/admin/users']).should.equal('2');
+      app.needs(['app/admin/old/users']).should.equal('1.11');
+      app.needs(['app/public']).should.equal('1.11');
+    });
+
+    it("shows mapped names in introspection", function() {
+      app.config({paths: {'jquery': 'vendor/jquery-1.11'}});
+      app.define('foo', function(jquery) {});
+      app.dependenciesOf('foo').should.eql(['vendor/jquery-1.11']);
+      app.dependentsOf('vendor/jquery-1.11').should.eql(['foo']);
+    });
+
+    it("waits for the mapped module before running main", function() {
+      var spy = sinon.spy();
+      app.config({paths: {'router': 'app/router'}});
+      app.define('main', ['router', spy]);
+      spy.called.should.be.false;
+      app.pending().should.eql([{moduleName: 'main', missing: ['app/router']}]);
+      app.define('app/router', function() {return 'router'});
+      spy.calledWith('router').should.be.true;
+    });
+
+    it("shows the requested and the mapped name when a module is not found", function() {
+      app.config({paths: {'jquery': 'vendor/jquery-3'}});
+      app.define('foo', function(jquery) {});
+      var err = catchError(compose(app.needs, app)(['foo']));
+      err.should.be.an.instanceof(error.ModuleNotFoundError);
+      err.message.should.equal('Module [jquery] (mapped to [vendor/jquery-3]) not found. Required by [foo].'
+                               + ' Did you mean [vendor/jquery-2], [vendor/jquery-1.11]?');
+      err.moduleName.should.equal('jquery');
+      err.resolvedName.should.equal('vendor/jquery-3');
+    });
+
+  });
+
+  describe("shims", function() {
+
+    var context;
+
+    beforeEach(function() {
+      context = {jQuery: {fn: {}}, $: 'jQuery alias', _: {}};
+    });
+
+    it("defines modules whose values are globals", function() {
+      app.shim({
+        $: {global: 'jQuery', remove: ['$', 'jQuery']},
+        _: {}
+      }, context);
+      var jQuery = context.jQuery;
+      app.needs(['$']).should.equal(jQuery);
+      app.needs(['_']).should.equal(context._);
+      context.should.not.have.property('jQuery');
+      context.should.not.have.property('$');
+    });
+
+    it("loads the dependencies of a shim first", function() {
+      app.shim({plugin: {deps: ['$']}}, context);
+      app.define('$', function() {
+        context.plugin = 'plugin';
+        return context.jQuery;
+      });
+      app.needs(['plugin']).should.equal('plugin');
+    });
+
+    it("throws when the global doesn't exist once the shim is needed", function() {
+      app.shim({Backbone: {}}, context);
+      var err = catchError(compose(app.needs, app)(['Backbone']));
+      err.should.be.an.instanceof(error.GlobalNotFoundError);
+      err.moduleName.should.equal('Backbone');
+      err.globalName.should.equal('Backbone');
+    });
+
+    it("restores globals and disposes modules on teardown", function() {
+      var order = [];
+      app.shim({$: {global: 'jQuery', remove: ['$', 'jQuery']}}, context);
+      app.define('foo', function($) {
+        this.dispose(function() {order.push('foo')});
+      });
+      app.define('bar', function(foo) {
+        this.dispose(function() {order.push('bar')});
+      });
+      var jQuery = context.jQuery;
+      app.global(context);
+      app.needs(['bar']);
+      app.teardown().should.equal(app);
+      order.should.eql(['bar', 'foo']);
+      context.jQuery.should.equal(jQuery);
+      context.$.should.equal('jQuery alias');
+      context.should.not.have.property('define');
+      app.status('bar').should.equal('defined');
+      app.needs(['$']).should.equal(jQuery);
+    });
+
+  });
+
+  describe("loader plugins", function() {
+
+    it("loads modules named with a prefix through the plugin", function() {
+      var spy = sinon.spy(function(name) {return name.toUpperCase()});
+      app.plugin('upper', spy);
+      app.define('foo', ['upper!foo', 'upper!bar', function(foo, bar) {return foo + bar}]);
+      app.needs(['foo']).should.equal('FOOBAR');
+      app.needs(['upper!foo']).should.equal('FOO');
+      spy.calledTwice.should.be.true;
+      app.status('upper!foo').should.equal('loaded');
+      app.dependenciesOf('foo').should.eql(['upper!foo', 'upper!bar']);
+    });
+
+    it("calls plugins on the module they load", function() {
+      app.define('prefix', function() {return '>'});
+      app.plugin('quote', function(name) {
+        return this.needs('prefix') + name;
+      });
+      app.needs(['quote!hi']).should.equal('>hi');
+      app.getModule('prefix').dependents.should.eql(['quote!hi']);
+    });
+
+    it("detects circular dependencies through plugins", function() {
+      app.plugin('loop', function(name) {
+        return this.needs(name);
+      });
+      app.define('foo', ['loop!foo', function() {}]);
+      var err = catchError(compose(app.needs, app)(['foo']));
+      err.should.be.an.instanceof(error.CircularDependencyError);
+      err.path.should.eql(['foo', 'loop!foo', 'foo']);
+    });
+
+    it("reports unknown plugins and failing plugins", function() {
+      app.define('foo', ['tpl!view', function() {}]);
+      var err = catchError(compose(app.needs, app)(['foo']));
+      err.should.be.an.instanceof(error.ModuleNotFoundError);
+      err.message.should.equal('Plugin [tpl] of module [tpl!view] not found. Required by [foo].');
+
+      app.plugin('tpl', function() {
+        throw new Error('Boom.');
+      });
+      app.define('bar', ['tpl!view', function() {}]);
+      err = catchError(compose(app.needs, app)(['bar']));
+      err.should.be.an.instanceof(error.ModuleLoadError);
+      err.message.should.equal('Module [tpl!view] failed to load: Boom. Required by: bar -> tpl!view.');
+    });
+
+    it("waits for plugins before running main", function() {
+      var spy = sinon.spy();
+      app.define('main', ['later!x', spy]);
+      spy.called.should.be.false;
+      app.pending().should.eql([{moduleName: 'main', missing: ['later!x']}]);
+      app.plugin('later', function() {return 'x'});
+      spy.calledWith('x').should.be.true;
+      app.pending().should.eql([]);
+    });
+
+    it("rejects invalid prefixes", function() {
+      compose(app.plugin, app)('a!b', function() {}).should.throw(error.PillarError);
+    });
+
+    describe("in Node", function() {
+
+      var fs = require('fs');
+      var path = require('path');
+      var helpers = require('./helpers');
+      var dir;
+
+      beforeEach(function() {
+        dir = helpers.tempDir();
+      });
+
+      afterEach(function() {
+        helpers.removeDir(dir);
+        delete process.env.PILLAR_TEST;
+      });
+
+      it("reads files and environment variables", function() {
+        fs.writeFileSync(path.join(dir, 'config.json'), '{"debug": true}');
+        fs.writeFileSync(path.join(dir, 'view.html'), '<p>Hi</p>');
+        process.env.PILLAR_TEST = 'yes';
+        app.needs(['json!' + path.join(dir, 'config')]).should.eql({debug: true});
+        app.needs(['text!' + path.join(dir, 'view.html')]).should.equal('<p>Hi</p>');
+        app.needs(['env!PILLAR_TEST']).should.equal('yes');
+        compose(app.needs, app)(['env!PILLAR_TEST_NOPE']).should.throw(error.PillarError, /is not set/);
+      });
+
+    });
+
+    it("reads script blocks in a browser", function() {
+      var blocks = {
+        'config': {textContent: '{"debug": true}'},
+        'view': {textContent: '<p>Hi</p>'},
+        'env': {textContent: '{"API_URL": "/api"}'}
+      };
+      global.document = {
+        getElementById: function(id) {
+          return blocks.hasOwnProperty(id) ? blocks[id] : null;
+        }
+      };
+      try {
+        app.needs(['json!config']).should.eql({debug: true});
+        app.needs(['text!view']).should.equal('<p>Hi</p>');
+        app.needs(['env!API_URL']).should.equal('/api');
+        compose(app.needs, app)(['text!nope']).should.throw(/Element \[nope\] not found/);
+      } finally {
+        delete global.document;
+      }
+    });
+
+  });
+
+  describe("events", function() {
+
+    var events;
+
+    beforeEach(function() {
+      events = [];
+      util.each(['define', 'beforeLoad', 'load', 'error', 'cycle'], function(event) {
+        app.on(event, function(e) {
+          events.push([event, e.moduleName, e.requestedBy]);
+        });
+      });
+    });
+
+    it("emits define, beforeLoad and load events", function() {
+      app.define('foo', function() {return 'foo'});
+      app.define('bar', function(foo) {return foo + 'bar'});
+      app.needs(['bar']);
+      app.needs(['bar']);
+      events.should.eql([
+        ['define', 'foo', undefined],
+        ['define', 'bar', undefined],
+        ['beforeLoad', 'bar', undefined],
+        ['beforeLoad', 'foo', 'bar'],
+        ['load', 'foo', 'bar'],
+        ['load', 'bar', undefined]
+      ]);
+    });
+
+    it("passes timing and the result to load handlers", function() {
+      var spy = sinon.spy();
+      app.on('load', spy);
+      app.define('foo', function() {return 'foo'});
+      app.needs(['foo']);
+      var e = spy.firstCall.args[0];
+      e.value.should.equal('foo');
+      e.time.should.be.a('number');
+      e.duration.should.be.at.least(0);
+    });
+
+    it("emits an error event for each module that fails", function() {
+      var spy = sinon.spy();
+      app.on('error', spy);
+      app.define('foo', function() {throw new Error('Boom.')});
+      app.define('bar', function(foo) {});
+      var err = catchError(compose(app.needs, app)(['bar']));
+      spy.calledTwice.should.be.true;
+      spy.firstCall.args[0].error.should.equal(err);
+      spy.secondCall.args[0].moduleName.should.equal('bar');
+      // Only bar loads again, as foo failed for good.
+      catchError(compose(app.needs, app)(['bar']));
+      spy.calledThrice.should.be.true;
+      spy.thirdCall.args[0].moduleName.should.equal('bar');
+    });
+
+    it("ends every beforeLoad event with a load or error event", function() {
+      var events = [];
+      util.each(['beforeLoad', 'load', 'error'], function(name) {
+        app.on(name, function(event) {
+          events.push(name + ' ' + event.moduleName);
+        });
+      });
+      app.define('config', function() {return Promise.resolve(42)}, {async: true});
+      app.define('foo', function(config) {});
+      catchError(compose(app.needs, app)(['foo'])).should.be.an.instanceof(error.AsyncModuleError);
+      events.should.eql(['beforeLoad foo', 'error foo']);
+    });
+
+    it("emits cycle events", function() {
+      var spy = sinon.spy();
+      app.on('cycle', spy);
+      app.define('a', function(b) {});
+      app.define('b', function(a) {});
+      var err = catchError(compose(app.needs, app)(['a']));
+      spy.firstCall.args[0].should.eql({moduleName: 'a', requestedBy: 'b', path: ['a', 'b', 'a'], error: err});
+
+      app.define('c', function(exports, d) {}, {commonjs: true});
+      app.define('d', function(c) {});
+      app.needs(['c']);
+      spy.secondCall.args[0].should.eql({moduleName: 'c', requestedBy: 'd', path: ['c', 'd', 'c'], error: null});
+    });
+
+    it("emits events of asynchronous loads", function() {
+      app.define('foo', function() {return Promise.resolve('foo')}, {async: true});
+      app.define('bar', function(foo) {});
+      return app.needsAsync(['bar']).then(function() {
+        events.slice(2).should.eql([
+          ['beforeLoad', 'bar', undefined],
+          ['beforeLoad', 'foo', 'bar'],
+          ['load', 'foo', 'bar'],
+          ['load', 'bar', undefined]
+        ]);
+      });
+    });
+
+    it("emits define events when redefining", function() {
+      var spy = sinon.spy();
+      app.define('foo', function() {});
+      app.on('define', spy);
+      app.redefine('foo', function() {});
+      spy.firstCall.args[0].redefined.should.be.true;
+    });
+
+    it("removes handlers and rejects unknown events", function() {
+      var spy = sinon.spy();
+      app.on('load', spy);
+      app.off('load', spy);
+      app.off('define');
+      app.define('foo');
+      app.needs(['foo']);
+      spy.called.should.be.false;
+      events.should.eql([['beforeLoad', 'foo', undefined], ['load', 'foo', undefined]]);
+      compose(app.on, app)('loaded', spy).should.throw(error.PillarError, 'Unknown event [loaded].');
+    });
+
+  });
+
+  describe("profiling", function() {
+
+    var clock;
+    var descriptor;
+
+    // Replaces the clock Pillar reads, performance.now, which older
+    // versions of Node don't have.
+    beforeEach(function() {
+      clock = 0;
+      descriptor = Object.getOwnPropertyDescriptor(global, 'performance');
+      Object.defineProperty(global, 'performance', {
+        configurable: true,
+        writable: true,
+        value: {now: function() {return clock}}
+      });
+    });
+
+    afterEach(function() {
+      if (typeof descriptor === 'undefined')
+        delete global.performance;
+      else
+        Object.defineProperty(global, 'performance', descriptor);
+    });
+
+    var defineApp = function(app) {
+      app.define('util', function() {clock += 5});
+      app.define('router', function(util) {clock += 2});
+      app.define('main', ['router', 'util', function() {clock += 1}]);
+    };
+
+    it("records self and total times as a tree", function() {
+      app.startProfiling();
+      defineApp(app);
+      var tree = app.profile().tree;
+      tree.length.should.equal(1);
+      tree[0].moduleName.should.equal('main');
+      tree[0].total.should.equal(8);
+      tree[0].self.should.equal(1);
+      tree[0].children.length.should.equal(1);
+      tree[0].children[0].should.include({moduleName: 'router', start: 0, total: 7, self: 2, failed: false});
+      tree[0].children[0].children[0].should.include({moduleName: 'util', total: 5, self: 5});
+    });
+
+    it("reports every module once, slowest definition first", function() {
+      app.startProfiling();
+      defineApp(app);
+      app.profile().report.should.eql([
+        {moduleName: 'util', total: 5, self: 5, failed: false},
+        {moduleName: 'router', total: 7, self: 2, failed: false},
+        {moduleName: 'main', total: 8, self: 1, failed: false}
+      ]);
+    });
+
+    it("exports Chrome trace events", function() {
+      var app = new pillar.Package({profiling: true});
+      defineApp(app);
+      var trace = app.profile().trace;
+      trace.traceEvents.length.should.equal(3);
+      trace.traceEvents[1].should.eql({
+        name: 'router', cat: 'pillar', ph: 'X', ts: 0, dur: 7000, pid: 1, tid: 1,
+        args: {self: 2, failed: false}
+      });
+      JSON.parse(JSON.stringify(trace)).should.eql(trace);
+    });
+
+    it("marks failed loads and stops recording", function() {
+      app.startProfiling();
+      app.define('foo', function() {throw new Error('Boom.')});
+      catchError(compose(app.needs, app)(['foo']));
+      app.stopProfiling();
+      app.define('bar');
+      app.needs(['bar']);
+      app.profile().report.should.eql([{moduleName: 'foo', total: 0, self: 0, failed: true}]);
+      app.handlers.load.should.eql([]);
+    });
+
+    it("throws if profiling hasn't started", function() {
+      compose(app.profile, app)().should.throw(error.PillarError, /startProfiling/);
+    });
+
+  });
+
+  describe("logging", function() {
+
+    var logger;
+    var messages;
+
+    beforeEach(function() {
+      messages = [];
+      logger = function(level, message, data) {
+        messages.push([level, message]);
+      };
+    });
+
+    it("logs definitions, loads and cache hits at the debug level", function() {
+      app.config({logger: logger, logLevel: 'debug'});
+      app.define('foo');
+      app.define('bar', function(foo) {});
+      app.needs(['bar']);
+      app.needs(['foo']);
+      messages.should.eql([
+        ['debug', 'Defined [foo].'],
+        ['debug', 'Defined [bar].'],
+        ['debug', 'Loading [bar].'],
+        ['debug', 'Loading [foo].'],
+        ['debug', 'Finished loading [foo].'],
+        ['debug', 'Finished loading [bar].'],
+        ['debug', 'Using the cached value of [foo].']
+      ]);
+    });
+
+    it("logs loads of modules with logOnLoad and logAfterLoad at the info level", function() {
+      app.config({logger: logger, logLevel: 'info'});
+      app.define('foo', function() {}, {logOnLoad: true, logAfterLoad: true});
+      app.define('bar', function() {});
+      app.needs(['foo bar']);
+      messages.should.eql([['info', 'Loading [foo].'], ['info', 'Finished loading [foo].']]);
+    });
+
+    it("logs loads of modules with logOnLoad and logAfterLoad to the console by default", function() {
+      var app = new pillar.Package();
+      var stub = sinon.stub(console, 'info');
+      try {
+        app.define('a', function() {}, {logOnLoad: true, logAfterLoad: true});
+        app.needs(['a']);
+      } finally {
+        stub.restore();
+      }
+      stub.args.should.eql([['Pillar: Loading [a].'], ['Pillar: Finished loading [a].']]);
+    });
+
+    it("logs failures thrown to the caller at the debug level, with structured data", function() {
+      var spy = sinon.spy();
+      app.config({logger: {debug: spy, info: spy, warn: spy, error: spy}, logLevel: 'warn'});
+      app.define('foo', function() {throw new Error('Boom.')});
+      app.define('bar', function(foo) {});
+      var err = catchError(compose(app.needs, app)(['bar']));
+      spy.called.should.be.false;
+      app.config({logLevel: 'debug'});
+      catchError(compose(app.needs, app)(['bar']));
+      spy.lastCall.args[0].should.equal('Failed loading [bar]: ' + err.message);
+      spy.lastCall.args[1].should.include({moduleName: 'bar', error: err});
+    });
+
+    it("warns when a module gets unfinished exports", function() {
+      app.config({logger: logger, logLevel: 'warn', commonjs: true});
+      app.define('user', function(exports, team) {});
+      app.define('team', function(exports, user) {});
+      app.needs(['user']);
+      messages.should.eql([['warn', 'Module [user] is still loading. [team] gets its exports so far.']]);
+    });
+
+    it("logs to the console by default", function() {
+      var app = new pillar.Package({logLevel: 'debug'});
+      var stub = sinon.stub(console, 'debug');
+      try {
+        app.define('foo');
+      } finally {
+        stub.restore();
+      }
+      stub.calledWith('Pillar: Defined [foo].').should.be.true;
+    });
+
+    it("rejects unknown log levels", function() {
+      var level = app.options.logLevel;
+      compose(app.config, app)({logLevel: 'verbose', amd: true}).should.throw(error.PillarError, 'Unknown log level [verbose].');
+      app.options.logLevel.should.equal(level);
+      app.options.amd.should.be.false;
+    });
+
+  });
+
+  describe("sandbox", function() {
+
+    var api;
+
+    beforeEach(function() {
+      api = sinon.spy(function() {return {get: function() {return 'real'}}});
+      app.define('app/api', [api]);
+      app.define('app/routes/user', ['app/api', function(api) {
+        return {show: function() {return api.get()}};
+      }]);
+    });
+
+    it("loads the same definitions without sharing values", function() {
+      var routes = app.needs(['app/routes/user']);
+      var sandbox = app.sandbox();
+      var sandboxRoutes = sandbox.needs(['app/routes/user']);
+      sandboxRoutes.should.not.equal(routes);
+      sandboxRoutes.show().should.equal('real');
+      api.calledTwice.should.be.true;
+      sandbox.status('app/api').should.equal('loaded');
+    });
+
+    it("replaces modules with values", function() {
+      var fakeApi = {get: function() {return 'fake'}};
+      var sandbox = app.sandbox({overrides: {'app/api': fakeApi}});
+      sandbox.needs(['app/routes/user']).show().should.equal('fake');
+      sandbox.needs(['app/api']).should.equal(fakeApi);
+      api.called.should.be.false;
+      app.needs(['app/routes/user']).show().should.equal('real');
+    });
+
+    it("replaces modules with stub definitions", function() {
+      app.define('config', function() {return 'stub config'});
+      var sandbox = app.sandbox({stubs: {'app/api': ['config', function(config) {
+        return {get: function() {return config}};
+      }]}});
+      sandbox.needs(['app/routes/user']).show().should.equal('stub config');
+    });
+
+    it("doesn't affect the package it came from", function() {
+      var sandbox = app.sandbox();
+      sandbox.define('extra');
+      sandbox.redefine('app/api', function() {});
+      app.exists('extra').should.be.false;
+      app.needs(['app/routes/user']).show().should.equal('real');
+      sandbox.options.should.eql(app.options);
+    });
+
+    it("restores globals removed by shims on teardown", function() {
+      var context = {jQuery: {fn: {}}};
+      var jQuery = context.jQuery;
+      app.shim({$: {global: 'jQuery', remove: ['jQuery']}}, context);
+      var sandbox = app.sandbox();
+      sandbox.needs(['$']).should.equal(jQuery);
+      context.should.not.have.property('jQuery');
+      app.changedGlobals.should.eql([]);
+      sandbox.teardown();
+      context.jQuery.should.equal(jQuery);
+    });
+
+    it("keeps options, plugins and used packages", function() {
+      var ui = new pillar.Package({name: 'ui'});
+      ui.define('button', function() {return 'button'});
+      app.use(ui);
+      app.plugin('upper', function(name) {return name.toUpperCase()});
+      app.config({paths: {'api': 'app/api'}, commonjs: true});
+      var sandbox = app.sandbox();
+      sandbox.needs(['ui#button']).should.equal('button');
+      sandbox.needs(['upper!a']).should.equal('A');
+      sandbox.resolveName('api').should.equal('app/api');
+      sandbox.defaultModuleOptions.commonjs.should.be.true;
+    });
+
+  });
+
+  describe("testing", function() {
+
+    var api;
+
+    beforeEach(function() {
+      api = sinon.spy(function() {
+        return {
+          get: function() {return 'real'},
+          post: function() {},
+          urls: {cart: '/cart'}
+        };
+      });
+      app.define('app/api', [api]);
+      app.define('app/cart', ['app/api', function(api) {
+        return {
+          add: function(item) {api.post(api.urls.cart, item)},
+          load: function() {return api.get()}
+        };
+      }]);
+    });
+
+    it("loads the module with its real dependencies in a sandbox", function() {
+      var loaded = pillar.testing.load(app, 'app/cart');
+      loaded.value.load().should.equal('real');
+      loaded.sandbox.status('app/cart').should.equal('loaded');
+      app.status('app/cart').should.equal('defined');
+      loaded.mocks.should.eql({});
+    });
+
+    it("replaces dependencies with automocks of the same shape", function() {
+      var loaded = pillar.testing.load(app, 'app/cart', {automock: true});
+      loaded.touched.should.eql([]);
+      (typeof loaded.value.load()).should.equal('undefined');
+      loaded.value.add('book');
+      var mock = loaded.mocks['app/api'];
+      (typeof mock.get).should.equal('function');
+      loaded.calls['app/api'].should.eql([{path: 'get()', args: []}, {path: 'post()', args: ['/cart', 'book']}]);
+      loaded.touched.should.eql(['app/api']);
+      loaded.usage['app/api'].should.eql(['get', 'get()', 'post', 'urls', 'urls.cart', 'post()']);
+    });
+
+    it("takes the shape from the interface option", function() {
+      app.define('app/store', function() {
+        throw new Error('should not load');
+      }, {interface: {save: function() {}}});
+      app.define('app/checkout', ['app/store', function(store) {
+        return function() {store.save(1)};
+      }]);
+      var loaded = pillar.testing.load(app, 'app/checkout', {automock: true});
+      loaded.value();
+      loaded.calls['app/store'].should.eql([{path: 'save()', args: [1]}]);
+      api.called.should.be.false;
+    });
+
+    it("prefers overrides and stubs to automocks", function() {
+      var fakeApi = {get: function() {return 'fake'}};
+      var loaded = pillar.testing.load(app, 'app/cart', {automock: true, overrides: {'app/api': fakeApi}});
+      loaded.value.load().should.equal('fake');
+      loaded.mocks.should.eql({});
+      loaded = pillar.testing.load(app, 'app/cart', {automock: true, stubs: {'app/api': function() {
+        return {get: function() {return 'stub'}};
+      }}});
+      loaded.value.load().should.equal('stub');
+    });
+
+  });
+
+  describe("multiple packages", function() {
+
+    var ui;
+
+    beforeEach(function() {
+      ui = new pillar.Package({name: 'ui'});
+      ui.define('theme', function() {return {color: 'red'}});
+      ui.define('button', function(theme) {return 'button:' + theme.color});
+    });
+
+    it("loads modules of a used package by its name", function() {
+      app.use(ui);
+      app.define('foo', ['ui#button', function(button) {return button}]);
+      app.needs(['foo']).should.equal('button:red');
+      app.exists('ui#theme').should.be.true;
+      app.exists('ui#nope').should.be.false;
+    });
+
+    it("uses the alias given instead of the package name", function() {
+      app.use(ui, {as: 'kit'});
+      app.needs(['kit#button']).should.equal('button:red');
+      compose(app.needs, app)(['ui#button']).should.throw(error.ModuleNotFoundError);
+    });
+
+    it("keeps modules cached in their own package", function() {
+      var spy = sinon.spy(function() {return {}});
+      ui.define('icons', [spy]);
+      var other = new pillar.Package();
+      app.use(ui);
+      other.use(ui);
+      app.needs(['ui#icons']).should.equal(other.needs(['ui#icons']));
+      spy.calledOnce.should.be.true;
+      ui.getModule('icons').isCached().should.be.true;
+      app.exists('icons').should.be.false;
+    });
+
+    it("names the package searched when a module is not found", function() {
+      app.use(ui);
+      app.define('foo', ['ui#Theme', function() {}]);
+      var err = catchError(compose(app.needs, app)(['foo']));
+      err.should.be.an.instanceof(error.ModuleNotFoundError);
+      err.message.should.equal('Module [ui#Theme] not found in package [ui]. Required by [foo]. Did you mean [ui#theme]?');
+      err.packageName.should.equal('ui');
+
+      err = catchError(compose(app.needs, app)(['kit#button']));
+      err.message.should.equal('Package [kit] of module [kit#button] not found.');
+      err.packageName.should.equal('kit');
+    });
+
+    it("throws when a package is used without a name or twice under the same name", function() {
+      compose(app.use, app)(new pillar.Package()).should.throw(error.PillarError);
+      app.use(ui);
+      compose(app.use, app)(ui).should.throw(/already used as \[ui\]/);
+    });
+
+    it("lists dependencies of used modules with their package prefix", function() {
+      app.use(ui);
+      app.dependenciesOf('ui#button').should.eql(['ui#theme']);
+    });
+
+    it("loads used modules asynchronously", function() {
+      app.use(ui);
+      return app.needsAsync(['ui#button']).then(function(button) {
+        button.should.equal('button:red');
+      });
+    });
+
+    it("runs entry modules waiting on a package once it is used and defines them", function() {
+      var spy = sinon.spy();
+      app.define('main', ['ui#icons', spy]);
+      app.use(ui);
+      spy.called.should.be.false;
+      ui.define('icons', function() {return 'icons'});
+      spy.calledOnce.should.be.true;
+      spy.calledWith('icons').should.be.true;
+      app.pending().should.eql([]);
+    });
+
+    it("reloads modules of other packages when a used module is redefined", function() {
+      var spy = sinon.spy();
+      var accepted = sinon.spy();
+      var shop = new pillar.Package({name: 'shop', logLevel: 'silent'});
+      shop.use(ui);
+      shop.define('main', ['ui#button', spy]);
+      shop.define('toolbar', ['ui#theme', function() {
+        this.accept(accepted);
+      }]);
+      shop.needs(['toolbar']);
+      ui.dependentsOf('theme').should.eql(['button', 'shop#toolbar']);
+      ui.redefine('theme', function() {return {color: 'blue'}});
+      spy.calledWith('button:blue').should.be.true;
+      accepted.calledOnce.should.be.true;
+      accepted.calledWith(['ui#theme']).should.be.true;
+    });
+
+    it("includes the modules of the requesting package in errors", function() {
+      ui.define('broken', ['theme', function() {throw new Error('boom')}]);
+      app.use(ui);
+      app.define('foo', ['ui#broken', function() {}]);
+      var err = catchError(compose(app.needs, app)(['foo']));
+      err.should.be.an.instanceof(error.ModuleLoadError);
+      err.chain.should.eql(['foo', 'ui#broken']);
+      err.requestedBy.should.equal('foo');
+
+      ui.define('a', ['b', function() {}]);
+      ui.define('b', ['a', function() {}]);
+      app.define('bar', ['ui#a', function() {}]);
+      return app.needsAsync(['bar']).then(function() {
+        throw new Error('should have failed');
+      }, function(err) {
+        err.should.be.an.instanceof(error.CircularDependencyError);
+        err.path.should.eql(['bar', 'ui#a', 'ui#b', 'ui#a']);
+        err.cycle.should.eql(['ui#a', 'ui#b', 'ui#a']);
+      });
+    });
+
+  });
+
+  it("resolves dependencies from an array annotation instead of parameter names", function() {
+    app.define('dep/a', function() {return 'a'});
+    app.define('dep/b', function() {return 'b'});
+    app.define('main', ['dep/a', 'dep/b', function(x, y) {
+      x.should.equal('a');
+      y.should.equal('b');
+    }]);
+  });
+
+  it("resolves dependencies from a $needs property or the needs option", function() {
+    var spy = sinon.spy();
+    var fn = function(x) {spy(x)};
+    fn.$needs = ['foo'];
+    app.define('foo', function() {return 'foo'});
+    app.define('bar', fn, {loadNow: true});
+    app.define('qux', function(x) {spy(x)}, {needs: ['foo'], loadNow: true});
+    spy.alwaysCalledWith('foo').should.be.true;
+    spy.calledTwice.should.be.true;
+  });
+
+  it("does not leak module options into the package defaults", function() {
+    app.define('foo', function() {}, {needs: []});
+    app.defaultModuleOptions.should.not.have.property('needs');
+  });
+
+  it("throws if an annotated definition does not end with a function", function() {
+    compose(app.define, app)('foo', ['bar']).should.throw(error.InvalidDefinitionError);
+  });
+
+  it("throws Error subclasses with structured fields", function() {
+    app.define('Foo');
+    app.define('bar', function(foo){});
+    var err = catchError(compose(app.needs, app)(['bar']));
+    err.should.be.an.instanceof(Error);
+    err.should.be.an.instanceof(error.PillarError);
+    err.should.be.an.instanceof(error.ModuleNotFoundError);
+    err.name.should.equal('ModuleNotFoundError');
+    err.constructor.should.equal(error.ModuleNotFoundError);
+    err.constructor.name.should.equal('ModuleNotFoundError');
+    err.message.should.equal('Module [foo] not found. Required by [bar]. Did you mean [Foo]?');
+    err.moduleName.should.equal('foo');
+    err.requestedBy.should.equal('bar');
+    err.suggestion.should.equal('Foo');
+    err.stack.should.be.a('string');
+  });
+
+  it("suggests several names for a missing module", function() {
+    app.define('app/routes/user');
+    app.define('app/models/user');
+    app.define('app/view', ['app/route/user', function() {}]);
+    var err = catchError(compose(app.needs, app)(['app/view']));
+    err.message.should.equal('Module [app/route/user] not found. Required by [app/view].'
+                             + ' Did you mean [app/routes/user], [app/models/user]?');
+    err.suggestions.should.eql(['app/routes/user', 'app/models/user']);
+    err.suggestion.should.equal('app/routes/user');
+  });
+
+  it("doesn't suggest the module that needs the missing one", function() {
+    app.define('a', function(b) {});
+    var err = catchError(compose(app.needs, app)(['a']));
+    err.message.should.equal('Module [b] not found. Required by [a].');
+    err.suggestions.should.eql([]);
+    err.should.not.have.property('candidates');
+  });
+
 });
@@ -0,0 +1,248 @@
+/*
+  Tests for the command line tools.
+*/
+
+
+var should = require('./chai').should();
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+var pillar = require('../pillar');
+var scan = require('../tools/scan');
+var build = require('../tools/build');
+var check = require('../tools/check');
+
+// Temporary directories made by fixture, removed after each test.
+var fixtures = [];
+
+// Writes @files, a hash of relative paths to sources, to a new
+// temporary directory and returns its path.
+var fixture = function(files) {
+  var dir = helpers.tempDir();
+  fixtures.push(dir);
+  for (var file in files) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+    fs.writeFileSync(path.join(dir, file), files[file]);
+  }
+  return dir;
+};
+
+afterEach(function() {
+  fixtures.splice(0).forEach(helpers.removeDir);
+});
+
+describe("scan", function() {
+
+  it("finds definitions and their dependencies", function() {
+    var result = scan.scanSource([
+      "module.define('app/router', function(app, session) {",
+      "  this.needs('app: views models');",
+      "});",
+      "module.define('app/user', ['app', './model', function(a, m) {}]);",
+      "define('amd/user', ['../util', 'exports'], function(util, exports) {});",
+      "module.define('boot', function() {}, {loadNow: true});"
+    ].join('\n'), 'app.js');
+    result.modules.map(function(module) {
+      return [module.name, module.line, module.dependencies, module.loadNow];
+    }).should.eql([
+      ['app/router', 1, ['app', 'session', 'app/views', 'app/models'], false],
+      ['app/user', 4, ['app', 'app/user/model'], false],
+      ['amd/user', 5, ['util'], false],
+      ['boot', 6, [], true]
+    ]);
+  });
+
+  it("ignores comments, strings and regular expressions", function() {
+    var result = scan.scanSource([
+      "// module.define('comment', function() {});",
+      "/* needs('block') */",
+      "var str = \"define('string', function() {})\";",
+      "var re = /needs\\('regex'\\)/;",
+      "module.define('real', function() {",
+      "  var half = a / b / c;",
+      "  needs('dep');",
+      "});"
+    ].join('\n'), 'app.js');
+    result.modules.length.should.equal(1);
+    result.modules[0].name.should.equal('real');
+    result.modules[0].dependencies.should.eql(['dep']);
+  });
+
+  it("attributes needs calls to the innermost definition", function() {
+    var result = scan.scanSource([
+      "module.define('outer', function() {",
+      "  module.define('outer/inner', function() {",
+      "    needs('./deep');",
+      "  });",
+      "  needs('a');",
+      "});",
+      "run('top');"
+    ].join('\n'), 'app.js');
+    result.modules[0].dependencies.should.eql(['a']);
+    result.modules[1].dependencies.should.eql(['outer/inner/deep']);
+    result.calls[0].names.should.eql(['top']);
+    result.calls[0].line.should.equal(7);
+  });
+
+});
+
+describe("build", function() {
+
+  var dir;
+
+  beforeEach(function() {
+    dir = fixture({
+      'main.js': "module.define('main', function(app) {});\n",
+      'app/app.js': "module.define('app', ['app/router', 'util', function(router, util) {}]);\n",
+      'app/router.js': "module.define('app/router', function(util) {\n  this.needs('nope');\n});\n",
+      'util.js': "module.define('util', function() {});",
+      'vendor/unused.js': "module.define('unused', function() {});\n"
+    });
+  });
+
+  it("concatenates reachable files in dependency order", function() {
+    var result = build.build(dir);
+    result.files.should.eql(['util.js', 'app/router.js', 'app/app.js', 'main.js']);
+    result.code.split('\n').should.eql([
+      "module.define('util', function() {});",
+      "module.define('app/router', function(util) {",
+      "  this.needs('nope');",
+      "});",
+      "module.define('app', ['app/router', 'util', function(router, util) {}]);",
+      "module.define('main', function(app) {});",
+      "//# sourceMappingURL=bundle.js.map",
+      ""
+    ]);
+  });
+
+  it("reports unreachable files and missing modules", function() {
+    var result = build.build(dir);
+    result.unreachable.should.eql(['vendor/unused.js']);
+    result.missing.should.eql([
+      {name: 'nope', requestedBy: 'app/router', file: 'app/router.js', line: 1}
+    ]);
+  });
+
+  it("leaves modules loaded by plugins out", function() {
+    var result = build.build(fixture({
+      'main.js': "module.define('main', ['json!config', 'util', function(config, util) {}]);\n",
+      'util.js': "module.define('util', function() {});\n"
+    }));
+    result.files.should.eql(['util.js', 'main.js']);
+    result.missing.should.eql([]);
+  });
+
+  it("includes files that only load modules with top-level calls", function() {
+    var result = build.build(fixture({
+      'main.js': "module.define('main', function() {});\n",
+      'boot.js': "module.run('widget');\nmodule.needs('nope');\n",
+      'widget.js': "module.define('widget', function() {});\n"
+    }));
+    result.files.should.eql(['main.js', 'widget.js', 'boot.js']);
+    result.unreachable.should.eql([]);
+    result.missing.should.eql([{name: 'nope', requestedBy: null, file: 'boot.js', line: 2}]);
+  });
+
+  it("creates a source map", function() {
+    var map = build.build(dir, {output: 'out/app.js'}).map;
+    map.file.should.equal('app.js');
+    map.sources.should.eql(['util.js', 'app/router.js', 'app/app.js', 'main.js']);
+    map.mappings.should.equal('AAAA;ACAA;AACA;AACA;ACFA;ACAA');
+    build.vlq(0).should.equal('A');
+    build.vlq(-1).should.equal('D');
+    build.vlq(16).should.equal('gB');
+  });
+
+  it("throws if there's no main module", function() {
+    (function() {
+      build.build(dir, {main: 'nope'});
+    }).should.throw(pillar.error.ModuleNotFoundError);
+  });
+
+});
+
+describe("check", function() {
+
+  var problems = function(files, options) {
+    return check.check(fixture(files), options).map(function(problem) {
+      return [problem.type, problem.moduleName, problem.file + ':' + problem.line];
+    });
+  };
+
+  it("finds no problems in a healthy app", function() {
+    check.check(fixture({
+      'main.js': "module.define('main', function(app) {});",
+      'app.js': "module.define('app', function() {this.needs('./util')});\nmodule.define('app/util');"
+    })).should.eql([]);
+  });
+
+  it("reports modules that are needed but never defined, with hints", function() {
+    var result = check.check(fixture({
+      'main.js': "module.define('main', function(app) {\n  this.needs('Util');\n});",
+      'util.js': "module.define('util', function() {});\nrun('util');"
+    }));
+    result.length.should.equal(2);
+    result[0].should.eql({
+      type: 'missing',
+      moduleName: 'app',
+      message: 'Module [app] not found. Required by [main].',
+      file: 'main.js', line: 1, column: 8,
+      suggestions: []
+    });
+    result[1].message.should.equal('Module [Util] not found. Required by [main]. Did you mean [util]?');
+    result[1].line.should.equal(2);
+  });
+
+  it("suggests similar names for typos and wrong namespaces", function() {
+    var result = check.check(fixture({
+      'main.js': "module.define('mian', ['app/routes/usr', 'app/route/user', 'user', function() {}]);",
+      'app.js': "module.define('app/routes/user');\nmodule.define('app/models/user');\nmodule.define('app/routes/users');"
+    }));
+    result[0].suggestions.should.eql(['app/routes/user', 'app/routes/users']);
+    result[1].suggestions.should.eql(['app/routes/user', 'app/models/user', 'app/routes/users']);
+    result[2].suggestions.should.eql(['app/models/user', 'app/routes/user']);
+    result[2].message.should.equal('Module [user] not found. Required by [mian]. Did you mean [app/models/user], [app/routes/user]?');
+    var main = result.filter(function(problem) {
+      return problem.moduleName === 'main';
+    })[0];
+    main.message.should.equal('Module [main] not found. Did you mean [mian]?');
+  });
+
+  it("reports modules of unknown plugins only", function() {
+    problems({
+      'main.js': "module.define('main', ['text!view.html', 'tpl!view', function() {}]);"
+    }).should.eql([['missing', 'tpl!view', 'main.js:1']]);
+  });
+
+  it("reports modules defined twice with both locations", function() {
+    var result = check.check(fixture({
+      'a.js': "module.define('main', function(util) {});\nmodule.define('util');",
+      'b.js': "\nmodule.define('util');"
+    }));
+    result.length.should.equal(2);
+    result[0].message.should.equal('Module [util] is defined more than once: a.js:2:8, b.js:2:8.');
+  });
+
+  it("reports unreachable modules and cycles", function() {
+    problems({
+      'main.js': "module.define('main', function(a) {});",
+      'a.js': "module.define('a', function(b) {});\nmodule.define('b', function(a) {});",
+      'c.js': "module.define('c', function() {});\nmodule.define('d', function() {}, {loadNow: true});"
+    }).should.eql([
+      ['unreachable', 'c', 'c.js:1'],
+      ['cycle', 'a', 'a.js:1']
+    ]);
+  });
+
+  it("allows cycles through CommonJS style modules", function() {
+    problems({
+      'main.js': "module.define('main', function(a) {});",
+      'a.js': "module.define('a', function(exports, b) {}, {commonjs: true});\nmodule.define('b', function(a) {});"
+    }).should.eql([]);
+  });
+
+  it("reports a missing main module", function() {
+    problems({'a.js': "module.define('a');"}).should.eql([['missing', 'main', 'null:null']]);
+  });
+
+});
@@ -0,0 +1,216 @@
+/*
+  Concatenates the files of an app into one bundle, r.js style. Only
+  files that define modules reachable from the entry modules (main,
+  loadNow modules and modules loaded by needs() and run() calls outside
+  of definitions) are included, along with the files making those
+  calls, ordered so that a file comes after the files defining the
+  modules it depends on. A source map maps the
+  bundle back to the original files.
+*/
+
+'use strict';
+
+var path = require('path');
+var pillar = require('../pillar');
+var scan = require('./scan');
+var util = pillar.util;
+
+var BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Encodes an integer as a base64 VLQ, as used in source maps.
+function vlq(value) {
+  var rest = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  var encoded = '';
+  do {
+    var digit = rest & 31;
+    rest >>>= 5;
+    if (rest > 0)
+      digit |= 32;
+    encoded += BASE64[digit];
+  } while (rest > 0);
+  return encoded;
+}
+
+// Names of the modules that needs() and run() calls outside of
+// definitions in @file load. They run when the file is loaded, so
+// they count as entry points.
+function callNames(file) {
+  var names = [];
+  util.each(file.calls, function(call) {
+    names = names.concat(util.parseNeeds([call.names]));
+  });
+  return names;
+}
+
+// Splits a source into lines, ignoring the line break at the end.
+function lines(source) {
+  return source.replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+/*
+  Creates a version 3 source map for @files (a list of {file, source})
+  concatenated in order, each followed by a line break. Every line of
+  the bundle maps to the start of its original line.
+*/
+function sourceMap(files, output) {
+  var mappings = [];
+  var previousSource = 0;
+  var previousLine = 0;
+  util.each(files, function(file, sourceIndex) {
+    util.each(lines(file.source), function(line, lineIndex) {
+      mappings.push(vlq(0) + vlq(sourceIndex - previousSource) + vlq(lineIndex - previousLine) + vlq(0));
+      previousSource = sourceIndex;
+      previousLine = lineIndex;
+    });
+  });
+  return {
+    version: 3,
+    file: path.basename(output),
+    sources: util.map(files, function(file) {
+      return file.file;
+    }),
+    sourcesContent: util.map(files, function(file) {
+      return file.source;
+    }),
+    names: [],
+    mappings: mappings.join(';')
+  };
+}
+
+/*
+  Builds the bundle of the app in @dir.
+
+    options: {
+      @main: Name of the entry module. Defaults to "main".
+      @output: Path the bundle will be written to, used to name the
+      source map. Defaults to "bundle.js".
+    }
+
+  Returns:
+
+    {
+      code: The bundle, ending with a sourceMappingURL comment.
+      map: The source map, as an object.
+      files: Relative paths of the included files, in order.
+      unreachable: Relative paths of the files left out.
+      missing: [{name, requestedBy, file, line}] for modules that are
+        needed but not defined anywhere. @requestedBy is null for calls
+        outside of definitions.
+    }
+
+  Throws a ModuleNotFoundError if the entry module isn't defined.
+*/
+function build(dir, options) {
+  options = util.merge({main: 'main', output: 'bundle.js'}, options || {});
+
+  var scanned = scan.scanDir(dir);
+  var definedIn = {};
+  util.each(scanned.modules, function(modules, name) {
+    util.setKey(definedIn, name, util.first(modules));
+  });
+
+  if (!util.has(definedIn, options.main))
+    throw new pillar.error.ModuleNotFoundError(
+      'Module [' + options.main + '] not found in ' + dir + '.',
+      {moduleName: options.main}
+    );
+
+  // Find the modules reachable from the entry modules.
+  var reachable = {};
+  var missing = [];
+  var visit = function(name, requestedBy) {
+    // Modules loaded by plugins aren't defined in any file.
+    if (util.has(reachable, name) || util.splitPluginName(name) !== null)
+      return;
+    if (!util.has(definedIn, name)) {
+      missing.push({
+        name: name,
+        requestedBy: requestedBy.name,
+        file: requestedBy.file,
+        line: requestedBy.line
+      });
+      return;
+    }
+    var module = definedIn[name];
+    util.setKey(reachable, name, module);
+    util.each(module.dependencies, function(dependency) {
+      visit(dependency, module);
+    });
+  };
+  var entries = [];
+  util.each(definedIn, function(module, name) {
+    if (module.loadNow)
+      entries.push(name);
+  });
+  entries.push(options.main);
+  util.each(entries, function(name) {
+    visit(name, null);
+  });
+  util.each(scanned.files, function(file) {
+    util.each(file.calls, function(call) {
+      util.each(util.parseNeeds([call.names]), function(name) {
+        visit(name, {name: null, file: file.file, line: call.line});
+      });
+    });
+  });
+
+  // Order the files that define reachable modules after the files
+  // they depend on.
+  var files = {};
+  util.each(scanned.files, function(file) {
+    files[file.file] = file;
+  });
+  var ordered = [];
+  var visitedFiles = {};
+  var visitFile = function(file) {
+    if (util.has(visitedFiles, file.file))
+      return;
+    visitedFiles[file.file] = true;
+    util.each(file.modules, function(module) {
+      if (!util.has(reachable, module.name))
+        return;
+      util.each(module.dependencies, function(dependency) {
+        if (util.has(reachable, dependency))
+          visitFile(files[reachable[dependency].file]);
+      });
+    });
+    util.each(callNames(file), function(name) {
+      if (util.has(reachable, name))
+        visitFile(files[reachable[name].file]);
+    });
+    ordered.push(file);
+  };
+  util.each(entries, function(name) {
+    visitFile(files[definedIn[name].file]);
+  });
+  util.each(scanned.files, function(file) {
+    if (callNames(file).length > 0)
+      visitFile(file);
+  });
+
+  var unreachable = [];
+  util.each(scanned.files, function(file) {
+    if (!util.has(visitedFiles, file.file))
+      unreachable.push(file.file);
+  });
+
+  var code = util.map(ordered, function(file) {
+    return lines(file.source).join('\n') + '\n';
+  }).join('');
+
+  return {
+    code: code + '//# sourceMappingURL=' + path.basename(options.output) + '.map\n',
+    map: sourceMap(ordered, options.output),
+    files: util.map(ordered, function(file) {
+      return file.file;
+    }),
+    unreachable: unreachable,
+    missing: missing
+  };
+}
+
+module.exports = {
+  build: build,
+  sourceMap: sourceMap,
+  vlq: vlq
+};
@@ -0,0 +1,164 @@
+/*
+  Statically checks the modules of an app for problems that would
+  otherwise only show up when it runs in a browser:
+
+    missing: A module is needed but never defined.
+    duplicate: A module is defined more than once.
+    unreachable: A module can't be reached from the entry modules.
+    cycle: Modules depend on each other in a circle.
+
+  The scanned modules are loaded into a Package (without running
+  anything), so that errors and hints read the same as at runtime.
+*/
+
+'use strict';
+
+var pillar = require('../pillar');
+var scan = require('./scan');
+var util = pillar.util;
+
+// Finds a path through the modules of a strongly connected component
+// that starts and ends with its first module.
+function cyclePath(pkg, members) {
+  var start = util.first(members);
+  var path = [start];
+  var visited = {};
+  var find = function(moduleName) {
+    var dependencies = pkg.dependenciesOf(moduleName);
+    for (var i=0; i < dependencies.length; i++) {
+      var dependency = dependencies[i];
+      if (dependency === start) {
+        path.push(start);
+        return true;
+      }
+      if (util.has(members, dependency) && !util.has(visited, dependency)) {
+        util.setKey(visited, dependency, true);
+        path.push(dependency);
+        if (find(dependency))
+          return true;
+        path.pop();
+      }
+    }
+    return false;
+  };
+  find(start);
+  return path;
+}
+
+function location(obj) {
+  return {file: obj.file, line: obj.line, column: obj.column};
+}
+
+/*
+  Checks the app in @dir.
+
+    options: {
+      @main: Name of the entry module. Defaults to "main".
+    }
+
+  Returns a list of problems, eg:
+
+    [{
+      type: 'missing',
+      moduleName: 'app/sesion',
+      message: 'Module [app/sesion] not found. Required by [app/router]. Did you mean [app/session]?',
+      file: 'app/router.js', line: 2, column: 8,
+      suggestions: ['app/session']
+    }]
+
+  Only missing modules have @suggestions, the most similar defined
+  names first.
+*/
+function check(dir, options) {
+  options = util.merge({main: 'main'}, options || {});
+
+  var scanned = scan.scanDir(dir);
+  var pkg = new pillar.Package();
+  var problems = [];
+  var problem = function(type, moduleName, message, where) {
+    problems.push(util.merge({type: type, moduleName: moduleName, message: message}, where));
+  };
+
+  util.each(scanned.modules, function(modules, name) {
+    pkg.addModule(name, function() {}, {needs: util.first(modules).dependencies});
+    if (modules.length > 1) {
+      var locations = util.map(modules, function(module) {
+        return module.file + ':' + module.line + ':' + module.column;
+      }).join(', ');
+      util.each(modules, function(module) {
+        problem('duplicate', name, 'Module [' + name + '] is defined more than once: ' + locations + '.',
+                location(module));
+      });
+    }
+  });
+
+  // Needs outside of definitions run when their file is loaded, so
+  // they count as entry points.
+  var roots = [];
+  var references = [];
+  util.each(scanned.files, function(file) {
+    util.each(file.modules, function(module) {
+      if (module.loadNow)
+        roots.push(module.name);
+      util.each(module.references, function(ref) {
+        references.push({ref: ref, requestedBy: module.name});
+      });
+    });
+    util.each(file.calls, function(call) {
+      util.each(util.parseNeeds([call.names]), function(name) {
+        roots.push(name);
+        references.push({ref: util.merge({name: name}, location(call))});
+      });
+    });
+  });
+
+  util.each(references, function(reference) {
+    var ref = reference.ref;
+    if (pkg.exists(ref.name))
+      return;
+    try {
+      pkg.getModule(ref.name, reference.requestedBy);
+    } catch (e) {
+      problem('missing', ref.name, e.message, util.merge(location(ref), {suggestions: e.suggestions}));
+    }
+  });
+
+  if (!pkg.exists(options.main)) {
+    var suggestions = util.suggestNames(options.main, util.keys(scanned.modules));
+    var message = 'Module [' + options.main + '] not found.';
+    if (suggestions.length > 0)
+      message += ' Did you mean [' + suggestions.join('], [') + ']?';
+    problem('missing', options.main, message,
+            {file: null, line: null, column: null, suggestions: suggestions});
+  } else {
+    roots.push(options.main);
+    var reachable = {};
+    util.each(roots, function(root) {
+      pkg.eachDependency(root, function(moduleName) {
+        util.setKey(reachable, moduleName, true);
+      });
+    });
+    util.each(scanned.modules, function(modules, name) {
+      if (!util.has(reachable, name))
+        problem('unreachable', name, 'Module [' + name + '] is not reachable from [' + options.main + '].',
+                location(util.first(modules)));
+    });
+  }
+
+  // CommonJS style modules hand out their exports instead of failing,
+  // so cycles through them are fine.
+  util.each(pkg.cycles(), function(members) {
+    for (var i=0; i < members.length; i++)
+      if (util.first(scanned.modules[members[i]]).usesExports)
+        return;
+    var path = cyclePath(pkg, members);
+    problem('cycle', util.first(path), 'Circular dependency detected on modules [' + util.first(path) + ']: '
+            + path.join(' -> ') + '.', location(util.first(scanned.modules[util.first(path)])));
+  });
+
+  return problems;
+}
+
+module.exports = {
+  check: check
+};
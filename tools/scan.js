@@ -0,0 +1,437 @@
+/*
+  Static scanner for Pillar modules. Finds define(), needs() and run()
+  calls in source files without running them, so that build and check
+  tools can work out the dependency graph of an app.
+
+  The scanner doesn't fully parse javascript. It blanks out comments,
+  strings and regular expressions, then looks for calls with literal
+  arguments, eg:
+
+    module.define('app/router', function(app, session) {...});
+    module.define('app/router', ['app', 'session', function(a, s) {...}]);
+    define('app/router', ['app', './session'], function(app, session) {...});
+    this.needs('app: router session');
+
+  Calls with computed arguments (eg, needs('module' + i)) are skipped.
+*/
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var pillar = require('../pillar');
+var util = pillar.util;
+
+var CALL = /(^|[^\w$.]|\.\s*)(define|needs|run)\s*\(/g;
+var REGEX_PRECEDERS = /[(,=:[!&|?{};+\-*%<>~^]$|(^|[^\w$])(return|typeof|case|do|else|in|of|new|delete|void|throw)$/;
+
+/*
+  Returns two copies of @source with the same length and line breaks:
+
+    code: comments are blanked out.
+    structure: comments and the contents of strings and regular
+      expressions are blanked out, so brackets can be matched.
+*/
+function mask(source) {
+  var code = source.split('');
+  var structure = source.split('');
+  var blank = function(copy, i) {
+    if (copy[i] !== '\n')
+      copy[i] = ' ';
+  };
+  var i = 0;
+  var lastSignificant = '';
+  while (i < source.length) {
+    var ch = source[i];
+    var next = source[i + 1];
+    if (ch === '/' && next === '/') {
+      while (i < source.length && source[i] !== '\n') {
+        blank(code, i);
+        blank(structure, i);
+        i++;
+      }
+    } else if (ch === '/' && next === '*') {
+      var end = source.indexOf('*/', i + 2);
+      end = end === -1 ? source.length : end + 2;
+      for (; i < end; i++) {
+        blank(code, i);
+        blank(structure, i);
+      }
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\') {
+          blank(structure, i);
+          i++;
+        }
+        blank(structure, i);
+        i++;
+      }
+      i++;
+      lastSignificant = ch;
+    } else if (ch === '/' && REGEX_PRECEDERS.test(lastSignificant)) {
+      var inClass = false;
+      i++;
+      while (i < source.length && source[i] !== '\n' && (source[i] !== '/' || inClass)) {
+        if (source[i] === '\\') {
+          blank(structure, i);
+          i++;
+        } else if (source[i] === '[') {
+          inClass = true;
+        } else if (source[i] === ']') {
+          inClass = false;
+        }
+        blank(structure, i);
+        i++;
+      }
+      i++;
+      lastSignificant = '/';
+    } else {
+      if (!/\s/.test(ch))
+        lastSignificant = (lastSignificant + ch).slice(-8);
+      i++;
+    }
+  }
+  return {code: code.join(''), structure: structure.join('')};
+}
+
+// Returns the offset of the bracket that closes the one at @start.
+function matchBracket(structure, start) {
+  var depth = 0;
+  for (var i=start; i < structure.length; i++) {
+    var ch = structure[i];
+    if (ch === '(' || ch === '[' || ch === '{')
+      depth++;
+    else if (ch === ')' || ch === ']' || ch === '}')
+      depth--;
+    if (depth === 0)
+      return i;
+  }
+  return -1;
+}
+
+// Splits the comma separated items between the bracket at @start and
+// its match into {start, end} ranges.
+function splitItems(structure, start) {
+  var end = matchBracket(structure, start);
+  var items = [];
+  var depth = 0;
+  var itemStart = start + 1;
+  if (end === -1)
+    return null;
+  for (var i=start + 1; i < end; i++) {
+    var ch = structure[i];
+    if (ch === '(' || ch === '[' || ch === '{')
+      depth++;
+    else if (ch === ')' || ch === ']' || ch === '}')
+      depth--;
+    else if (ch === ',' && depth === 0) {
+      items.push({start: itemStart, end: i});
+      itemStart = i + 1;
+    }
+  }
+  if (util.trim(structure.slice(itemStart, end)) !== '')
+    items.push({start: itemStart, end: end});
+  return items;
+}
+
+function Scanner(source, file) {
+  var masked = mask(source);
+  this.file = file;
+  this.code = masked.code;
+  this.structure = masked.structure;
+  this.lineStarts = [0];
+  for (var i=0; i < source.length; i++)
+    if (source[i] === '\n')
+      this.lineStarts.push(i + 1);
+}
+
+util.merge(Scanner.prototype, {
+
+  // Returns the 1-based line and column of an offset.
+  location: function(offset) {
+    var line = 0;
+    while (line + 1 < this.lineStarts.length && this.lineStarts[line + 1] <= offset)
+      line++;
+    return {file: this.file, line: line + 1, column: offset - this.lineStarts[line] + 1};
+  },
+
+  text: function(range) {
+    return util.trim(this.code.slice(range.start, range.end));
+  },
+
+  // Returns the value of a string literal, or null if @range isn't one.
+  string: function(range) {
+    var match = /^(['"])([\s\S]*)\1$/.exec(this.text(range));
+    if (match === null)
+      return null;
+    return match[2].replace(/\\(.)/g, '$1');
+  },
+
+  // Returns the string literals in @range, which can be a string or
+  // a (nested) array of strings, or null if it holds anything else.
+  strings: function(range) {
+    var str = this.string(range);
+    if (str !== null)
+      return [str];
+    var offset = this.skipSpace(range.start);
+    if (this.structure[offset] !== '[')
+      return null;
+    var results = [];
+    var items = splitItems(this.structure, offset);
+    if (items === null)
+      return null;
+    for (var i=0; i < items.length; i++) {
+      var strs = this.strings(items[i]);
+      if (strs === null)
+        return null;
+      results = results.concat(strs);
+    }
+    return results;
+  },
+
+  skipSpace: function(offset) {
+    while (offset < this.structure.length && /\s/.test(this.structure[offset]))
+      offset++;
+    return offset;
+  },
+
+  /*
+    Parses a function expression in @range. Returns its parameter names
+    and the range of its body, or null if @range isn't a function.
+  */
+  fn: function(range) {
+    var text = this.structure.slice(range.start, range.end);
+    var match = /^\s*(function\b[^(]*\(|\()/.exec(text);
+    if (match === null)
+      return null;
+    var open = range.start + match[0].length - 1;
+    var close = matchBracket(this.structure, open);
+    var body = this.structure.indexOf('{', close);
+    if (close === -1 || body === -1 || body > range.end)
+      return null;
+    var between = util.trim(this.structure.slice(close + 1, body));
+    if (between !== '' && between !== '=>')
+      return null;
+    return {
+      params: util.getFnParams(this.code.slice(open, close + 1)),
+      body: {start: body, end: matchBracket(this.structure, body)}
+    };
+  },
+
+  /*
+    Interprets the arguments of a define() call. Handles the Pillar
+    forms define(name, fn), define(name, [deps..., fn]) and the AMD
+    form define(name, [deps], fn). Returns null for anything else.
+  */
+  parseDefine: function(args) {
+    if (args.length === 0)
+      return null;
+    var name = this.string(args[0]);
+    if (name === null)
+      return null;
+    var result = {name: name, needs: [], body: null, amd: false, commonjs: false, loadNow: false};
+    if (args.length === 1)
+      return result;
+
+    var fn = this.fn(args[1]);
+    var offset = this.skipSpace(args[1].start);
+    if (fn === null && this.structure[offset] === '[') {
+      var items = splitItems(this.structure, offset);
+      var lastItem = items !== null && items.length > 0 ? this.fn(items[items.length - 1]) : null;
+      if (lastItem !== null) {
+        fn = lastItem;
+        result.needs = util.map(items.slice(0, -1), this.string, this);
+        if (util.has(result.needs, null))
+          result.needs = [];
+      } else {
+        result.amd = true;
+        result.needs = this.strings(args[1]) || [];
+        if (args.length > 2)
+          fn = this.fn(args[2]);
+      }
+    } else if (fn !== null) {
+      result.needs = fn.params;
+    }
+    if (fn !== null)
+      result.body = fn.body;
+    var options = !result.amd && args.length > 2 ? this.text(args[2]) : '';
+    result.commonjs = result.amd || /\bcommonjs\s*:\s*true\b/.test(options);
+    result.loadNow = /\bloadNow\s*:\s*true\b/.test(options);
+    return result;
+  },
+
+  // Finds the calls in the source. See @scanSource.
+  scan: function() {
+    var defines = [];
+    var calls = [];
+    var match;
+    CALL.lastIndex = 0;
+    while ((match = CALL.exec(this.structure)) !== null) {
+      var open = CALL.lastIndex - 1;
+      var before = util.trim(this.structure.slice(Math.max(0, match.index - 9), match.index + match[1].length));
+      if (/\bfunction$/.test(before))
+        continue;
+      var args = splitItems(this.structure, open);
+      if (args === null)
+        continue;
+      var location = this.location(match.index + match[1].length);
+      if (match[2] === 'define') {
+        var define = this.parseDefine(args);
+        if (define !== null)
+          defines.push(util.merge(define, location));
+      } else {
+        var names = [];
+        for (var i=0; i < args.length; i++) {
+          var strs = this.strings(args[i]);
+          if (strs === null) {
+            names = null;
+            break;
+          }
+          names = names.concat(strs);
+        }
+        if (names !== null && names.length > 0)
+          calls.push(util.merge({type: match[2], names: names, offset: open}, location));
+      }
+    }
+    return this.attribute(defines, calls);
+  },
+
+  // Attributes needs() and run() calls to the innermost define()
+  // whose definition contains them.
+  attribute: function(defines, calls) {
+    var modules = [];
+    var topLevel = [];
+    util.each(defines, function(define) {
+      define.calls = [];
+    });
+    util.each(calls, function(call) {
+      var owner = null;
+      util.each(defines, function(define) {
+        if (define.body !== null
+            && define.body.start < call.offset && call.offset < define.body.end
+            && (owner === null || define.body.start > owner.body.start))
+          owner = define;
+      });
+      delete call.offset;
+      if (owner === null)
+        topLevel.push(call);
+      else
+        owner.calls.push(call);
+    });
+    util.each(defines, function(define) {
+      var refs = references(define);
+      var dependencies = [];
+      util.each(refs, function(ref) {
+        if (!util.has(dependencies, ref.name))
+          dependencies.push(ref.name);
+      });
+      modules.push({
+        name: define.name,
+        file: define.file,
+        line: define.line,
+        column: define.column,
+        dependencies: dependencies,
+        references: refs,
+        usesExports: define.commonjs
+          && (util.has(define.needs, 'exports') || util.has(define.needs, 'module')),
+        loadNow: define.loadNow,
+        calls: define.calls
+      });
+    });
+    return {modules: modules, calls: topLevel};
+  }
+
+});
+
+/*
+  Resolves the names a scanned define() depends on the same way
+  Package does at runtime. Returns them as {name, file, line, column}
+  references, located at the define() for parameters and annotations,
+  and at the call for needs() and run().
+*/
+function references(define) {
+  var refs = [];
+  var add = function(names, location) {
+    util.each(util.parseNeeds([names], define.name), function(name) {
+      var special = name === 'require' && define.amd
+        || (name === 'exports' || name === 'module') && define.commonjs;
+      if (!special)
+        refs.push({name: name, file: location.file, line: location.line, column: location.column});
+    });
+  };
+  add(util.map(define.needs, function(name) {
+    return define.amd ? util.resolveAmdId(name, define.name) : name;
+  }), define);
+  util.each(define.calls, function(call) {
+    add(call.names, call);
+  });
+  return refs;
+}
+
+/*
+  Scans the source of one file. Returns:
+
+    {
+      modules: [{
+        name: 'app/router',
+        file: @file, line: 3, column: 1,
+        dependencies: ['app', 'app/session'],
+        references: [{name: 'app', file, line, column}, ...],
+        usesExports: false,  // Takes "exports" or "module" with the commonjs option.
+        loadNow: false,
+        calls: [{type: 'needs', names: ['app/session'], file, line, column}]
+      }],
+      calls: [...]  // needs() and run() calls outside of definitions
+    }
+*/
+function scanSource(source, file) {
+  return new Scanner(source, file).scan();
+}
+
+// Lists the .js files under @dir, skipping node_modules and hidden
+// directories, in a stable order.
+function listFiles(dir) {
+  var files = [];
+  util.each(fs.readdirSync(dir).sort(), function(name) {
+    var file = path.join(dir, name);
+    if (name[0] === '.' || name === 'node_modules')
+      return;
+    if (fs.statSync(file).isDirectory())
+      files = files.concat(listFiles(file));
+    else if (/\.js$/.test(name))
+      files.push(file);
+  });
+  return files;
+}
+
+/*
+  Scans every .js file under @dir. Returns:
+
+    {
+      files: [{file, source, modules, calls}],
+      modules: {name: [module, ...]}  // More than one if defined twice.
+    }
+*/
+function scanDir(dir) {
+  var result = {files: [], modules: {}};
+  util.each(listFiles(dir), function(file) {
+    var relative = path.relative(dir, file);
+    var source = fs.readFileSync(file, 'utf8');
+    var scanned = scanSource(source, relative);
+    result.files.push(util.merge({file: relative, source: source}, scanned));
+    util.each(scanned.modules, function(module) {
+      if (!util.has(result.modules, module.name))
+        util.setKey(result.modules, module.name, []);
+      result.modules[module.name].push(module);
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  mask: mask,
+  scanSource: scanSource,
+  scanDir: scanDir,
+  listFiles: listFiles
+};